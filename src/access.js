@@ -0,0 +1,180 @@
+"use strict";
+
+const ENDPOINT = "/apis/authorization.k8s.io/v1";
+
+/**
+ * Build the resourceAttributes of an access review
+ *
+ * kind (and optional apiVersion) is resolved to the resource via discovery,
+ * alternatively resource (plural name) and group may be given directly
+ *
+ * @param {*} kc KubeConfig
+ * @param {*} spec { verb, kind, apiVersion, resource, group, namespace, name, subresource }
+ */
+async function buildResourceAttributes(kc, spec) {
+  if (!spec.verb) {
+    throw new Error("missing verb");
+  }
+
+  let resource = spec.resource;
+  let group = spec.group || "";
+  let version = "";
+  let namespaced = true;
+
+  if (spec.kind) {
+    let definition;
+    try {
+      definition = await kc.getAPIResource(
+        spec.kind,
+        spec.apiVersion || undefined
+      );
+    } catch (err) {}
+
+    if (!definition) {
+      throw new Error(
+        `unknown kind: ${spec.kind}${
+          spec.apiVersion ? ` (${spec.apiVersion})` : ""
+        }`
+      );
+    }
+
+    const groupVersion = definition.apiVersion.split("/");
+    resource = definition.resource.name;
+    group = groupVersion.length > 1 ? groupVersion[0] : "";
+    version = groupVersion.pop();
+    namespaced = definition.resource.namespaced;
+  } else if (spec.apiVersion) {
+    const groupVersion = spec.apiVersion.split("/");
+    group = groupVersion.length > 1 ? groupVersion[0] : "";
+    version = groupVersion.pop();
+  }
+
+  if (!resource) {
+    throw new Error("missing kind or resource");
+  }
+
+  const attributes = { verb: spec.verb, group, resource };
+  if (version) {
+    attributes.version = version;
+  }
+  if (spec.subresource) {
+    attributes.subresource = spec.subresource;
+  }
+  if (spec.name) {
+    attributes.name = spec.name;
+  }
+
+  // empty namespace means all namespaces for namespaced resources
+  if (namespaced && spec.namespace) {
+    attributes.namespace = spec.namespace;
+  }
+
+  return attributes;
+}
+
+async function createReview(kc, kind, spec, kube) {
+  const res = await kc.makeHttpRestRequest({
+    topic: `${ENDPOINT}/${kind.toLowerCase()}s`,
+    method: "POST",
+    payload: {
+      apiVersion: "authorization.k8s.io/v1",
+      kind,
+      spec
+    },
+    kube
+  });
+
+  if (res.statusCode != 201 && res.statusCode != 200) {
+    const err = new Error(
+      `failed to create ${kind} - code: ${res.statusCode}, message: ${
+        res.body ? res.body.message : ""
+      }`
+    );
+    err.statusCode = res.statusCode;
+    throw err;
+  }
+
+  return res.body;
+}
+
+/**
+ * Ask the API server whether an action is allowed
+ *
+ * a SelfSubjectAccessReview for the current credentials or a
+ * SubjectAccessReview if a user or groups are given
+ *
+ * returns { allowed, denied, reason, evaluationError, resourceAttributes, user, groups }
+ *
+ * @param {*} kc KubeConfig
+ * @param {*} spec see buildResourceAttributes plus { user, groups, uid, extra }
+ * @param {*} kube optional msg.kube (ie: impersonate) of the request
+ */
+async function checkAccess(kc, spec, kube) {
+  const resourceAttributes = await buildResourceAttributes(kc, spec);
+  const groups = spec.groups || [];
+
+  let review;
+  if (spec.user || groups.length > 0) {
+    const reviewSpec = { resourceAttributes, groups };
+    if (spec.user) {
+      reviewSpec.user = spec.user;
+    }
+    if (spec.uid) {
+      reviewSpec.uid = spec.uid;
+    }
+    if (spec.extra) {
+      reviewSpec.extra = spec.extra;
+    }
+    review = await createReview(kc, "SubjectAccessReview", reviewSpec, kube);
+  } else {
+    review = await createReview(
+      kc,
+      "SelfSubjectAccessReview",
+      { resourceAttributes },
+      kube
+    );
+  }
+
+  const status = review.status || {};
+  return {
+    allowed: status.allowed === true,
+    denied: status.denied === true,
+    reason: status.reason || "",
+    evaluationError: status.evaluationError || "",
+    resourceAttributes,
+    user: spec.user || null,
+    groups
+  };
+}
+
+/**
+ * List the permissions of the current credentials in a namespace
+ * (SelfSubjectRulesReview)
+ *
+ * returns { namespace, resourceRules, nonResourceRules, incomplete, evaluationError }
+ *
+ * @param {*} kc KubeConfig
+ * @param {*} namespace
+ * @param {*} kube optional msg.kube (ie: impersonate) of the request
+ */
+async function listRules(kc, namespace, kube) {
+  const review = await createReview(
+    kc,
+    "SelfSubjectRulesReview",
+    { namespace: namespace || "default" },
+    kube
+  );
+
+  const status = review.status || {};
+  return {
+    namespace: namespace || "default",
+    resourceRules: status.resourceRules || [],
+    nonResourceRules: status.nonResourceRules || [],
+    incomplete: status.incomplete === true,
+    evaluationError: status.evaluationError || ""
+  };
+}
+
+module.exports.buildResourceAttributes = buildResourceAttributes;
+module.exports.checkAccess = checkAccess;
+module.exports.listRules = listRules;
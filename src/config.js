@@ -1,29 +1,631 @@
 "use strict";
 const k8s = require("@kubernetes/client-node");
+const classifyError = require("./reconnect").classifyError;
+const diff = require("./diff").diff;
+const fs = require("fs");
+const isRetryable = require("./errors").isRetryable;
 const LRU = require("lru-cache");
 const queryString = require("query-string");
+const RateLimiter = require("./ratelimit").RateLimiter;
+const ReconnectPolicy = require("./reconnect").ReconnectPolicy;
 const request = require("request");
+const stream = require("stream");
 const URI = require("uri-js");
+const WebSocket = require("ws");
+const WebSocketHandler = require("@kubernetes/client-node/dist/web-socket-handler")
+  .WebSocketHandler;
+
+// v5 adds a close signal for stdin, the others only close the whole connection
+const EXEC_PROTOCOLS = [
+  "v5.channel.k8s.io",
+  "v4.channel.k8s.io",
+  "v3.channel.k8s.io",
+  "v2.channel.k8s.io",
+  "channel.k8s.io"
+];
+const STDIN_CHANNEL = 0;
+const CLOSE_CHANNEL = 255;
 
 const FAILURE_CACHE_TIME = 5 * 60 * 1000; // 5 minutes
 const SUCCESS_CACHE_TIME = 1 * 60 * 60 * 1000; // 1 hour
+const DEFAULT_FIELD_MANAGER = "node-red";
+const DRY_RUN_IGNORED_PATHS = [
+  "metadata.resourceVersion",
+  "metadata.managedFields"
+];
+const RETRY_INITIAL_DELAY = 0.5; // seconds
+const RETRY_MAX_DELAY = 30; // seconds
+const TOKEN_FILE_REFRESH_TIME = 60 * 1000; // 1 minute, same as client-go
+const CREDENTIAL_EXPIRY_WINDOW = 60 * 1000; // refresh 1 minute before expiry
+
+/**
+ * Normalize impersonation settings
+ *
+ * { user, uid, groups, extra } where groups may be an array or a comma
+ * separated string and the values of extra arrays or strings
+ *
+ * returns null if not set, settings without a user are rejected rather
+ * than sending the request without impersonation
+ *
+ * @param {*} impersonate
+ */
+function parseImpersonation(impersonate) {
+  if (!impersonate) {
+    return null;
+  }
+
+  if (typeof impersonate != "object" || !impersonate.user) {
+    throw new Error("impersonation requires a user");
+  }
+
+  function toList(value) {
+    if (value === undefined || value === null || value === "") {
+      return [];
+    }
+
+    return (Array.isArray(value) ? value : String(value).split(","))
+      .map(item => {
+        return String(item).trim();
+      })
+      .filter(item => {
+        return item.length > 0;
+      });
+  }
+
+  const extra = {};
+  Object.keys(impersonate.extra || {}).forEach(key => {
+    extra[key] = toList(impersonate.extra[key]);
+  });
+
+  return {
+    user: String(impersonate.user),
+    uid: impersonate.uid ? String(impersonate.uid) : null,
+    groups: toList(impersonate.groups),
+    extra
+  };
+}
+
+/**
+ * https://kubernetes.io/docs/reference/access-authn-authz/authentication/#user-impersonation
+ *
+ * @param {*} headers request headers (modified)
+ * @param {*} impersonate normalized settings, null removes impersonation
+ */
+function applyImpersonation(headers, impersonate) {
+  Object.keys(headers).forEach(name => {
+    if (/^impersonate-/i.test(name)) {
+      delete headers[name];
+    }
+  });
+
+  if (!impersonate) {
+    return;
+  }
+
+  headers["Impersonate-User"] = impersonate.user;
+  if (impersonate.uid) {
+    headers["Impersonate-Uid"] = impersonate.uid;
+  }
+
+  if (impersonate.groups.length > 0) {
+    headers["Impersonate-Group"] = impersonate.groups;
+  }
+
+  Object.keys(impersonate.extra).forEach(key => {
+    if (impersonate.extra[key].length > 0) {
+      headers[`Impersonate-Extra-${encodeURIComponent(key)}`] =
+        impersonate.extra[key];
+    }
+  });
+}
+
+function hasImpersonation(headers) {
+  return Object.keys(headers || {}).some(name => {
+    return /^impersonate-/i.test(name);
+  });
+}
+
+/**
+ * label/field selectors may be given as string or as { key: value } object
+ *
+ * @param {*} selector
+ */
+function formatSelector(selector) {
+  if (typeof selector != "object") {
+    return String(selector);
+  }
+
+  return Object.keys(selector)
+    .map(key => {
+      return `${key}=${selector[key]}`;
+    })
+    .join(",");
+}
+
+/**
+ * true if alias (lowercase) is the kind, plural, singular or a short name of
+ * the resource, subresources never match
+ *
+ * @param {*} resource entry of an APIResourceList
+ * @param {*} alias
+ */
+function matchesResource(resource, alias) {
+  if (resource.name.includes("/")) {
+    return false;
+  }
+
+  return [resource.kind.toLowerCase(), resource.name, resource.singularName]
+    .concat(resource.shortNames || [])
+    .includes(alias);
+}
+
+/**
+ * { prefix, apiVersion, resource, subresources } of a discovered resource
+ *
+ * @param {*} resourceList
+ * @param {*} resource
+ */
+function describeResource(resourceList, resource) {
+  const groupVersion = resourceList.groupVersion;
+  return {
+    prefix: groupVersion.includes("/") ? "/apis" : "/api",
+    apiVersion: groupVersion,
+    resource,
+    subresources: resourceList.resources
+      .filter(entry => {
+        return entry.name.startsWith(`${resource.name}/`);
+      })
+      .map(entry => {
+        return entry.name.split("/")[1];
+      })
+  };
+}
+
 class KubeConfig extends k8s.KubeConfig {
   constructor() {
     super(...arguments);
     this.discoveryCache = new LRU({ maxAge: SUCCESS_CACHE_TIME });
+    this.rateLimiter = null;
+    this.contextClients = new Map();
+    this.tokenFile = null;
+    this.tokenFileReadAt = 0;
+    this.authorization = null;
+    this.impersonate = null;
+  }
+
+  /**
+   * impersonate a user (and groups/extra) with every request
+   *
+   * @param {*} impersonate { user, uid, groups, extra }, null to disable
+   */
+  setImpersonation(impersonate) {
+    this.impersonate = parseImpersonation(impersonate);
+    this.contextClients.forEach(client => {
+      client.impersonate = this.impersonate;
+    });
+  }
+
+  /**
+   * Load a single cluster/user from a bearer token
+   *
+   * a tokenFile takes precedence over the token and is re-read periodically
+   * (ie: projected service account tokens which rotate)
+   *
+   * @param {*} options { server, token, tokenFile, caData (pem), caFile, skipTLSVerify }
+   */
+  loadFromToken(options) {
+    if (!options.server) {
+      throw new Error("missing server");
+    }
+
+    this.loadFromOptions({
+      clusters: [
+        {
+          name: "cluster",
+          server: options.server,
+          caData: options.caData
+            ? Buffer.from(options.caData).toString("base64")
+            : undefined,
+          caFile: options.caFile,
+          skipTLSVerify: options.skipTLSVerify === true
+        }
+      ],
+      users: [{ name: "user", token: options.token }],
+      contexts: [{ name: "context", cluster: "cluster", user: "user" }],
+      currentContext: "context"
+    });
+
+    this.tokenFile = options.tokenFile || null;
+    this.refreshTokenFile(true);
+  }
+
+  /**
+   * Load the service account of the pod running Node-RED
+   */
+  loadFromServiceAccount() {
+    let host = process.env.KUBERNETES_SERVICE_HOST;
+    const port = process.env.KUBERNETES_SERVICE_PORT || "443";
+    if (!host) {
+      throw new Error(
+        "not running in a cluster, KUBERNETES_SERVICE_HOST is not set"
+      );
+    }
+
+    if (host.includes(":")) {
+      host = `[${host}]`;
+    }
+
+    this.loadFromToken({
+      server: `https://${host}:${port}`,
+      caFile: k8s.Config.SERVICEACCOUNT_CA_PATH,
+      tokenFile: k8s.Config.SERVICEACCOUNT_TOKEN_PATH
+    });
+  }
+
+  /**
+   * re-read the token file if it is due (or forced)
+   *
+   * @param {*} force
+   */
+  refreshTokenFile(force = false) {
+    if (!this.tokenFile) {
+      return;
+    }
+
+    if (!force && Date.now() - this.tokenFileReadAt < TOKEN_FILE_REFRESH_TIME) {
+      return;
+    }
+
+    const user = this.getCurrentUser();
+    user.token = fs.readFileSync(this.tokenFile, "utf8").trim();
+    this.tokenFileReadAt = Date.now();
+    this.authorization = null;
+  }
+
+  /**
+   * drop cached exec credentials which are about to expire
+   *
+   * @param {*} force drop them regardless of expiry
+   */
+  expireExecCredentials(force = false) {
+    const user = this.getCurrentUser();
+    if (!user) {
+      return;
+    }
+
+    k8s.KubeConfig.authenticators.forEach(authenticator => {
+      const cache = authenticator.tokenCache;
+      if (!cache || !cache[user.name]) {
+        return;
+      }
+
+      const expiry = Date.parse(cache[user.name].status.expirationTimestamp);
+      if (force || expiry - Date.now() < CREDENTIAL_EXPIRY_WINDOW) {
+        cache[user.name] = null;
+        this.authorization = null;
+      }
+    });
+  }
+
+  /**
+   * Make sure credentials are current, with force all cached credentials
+   * (token file, exec, oidc) are dropped first (ie: after a 401)
+   *
+   * @param {*} force
+   */
+  async refreshCredentials(force = false) {
+    if (force) {
+      this.authorization = null;
+      this.refreshTokenFile(true);
+      this.expireExecCredentials(true);
+      k8s.KubeConfig.authenticators.forEach(authenticator => {
+        if (authenticator.currentTokenExpiration !== undefined) {
+          authenticator.currentTokenExpiration = 0;
+        }
+      });
+    }
+
+    await this.applyToRequest({ headers: {} });
+  }
+
+  /**
+   * credentials are refreshed before being applied
+   *
+   * some callers (ie: watches) do not wait for the (async) authenticators, so
+   * the last known Authorization header is applied synchronously as well
+   *
+   * @param {*} opts request options
+   */
+  async applyToRequest(opts) {
+    this.refreshTokenFile();
+    this.expireExecCredentials();
+
+    const cluster = this.getCurrentCluster();
+    if (cluster && cluster.skipTLSVerify) {
+      opts.strictSSL = false;
+    }
+
+    if (this.authorization) {
+      opts.headers = opts.headers || {};
+      opts.headers.Authorization = this.authorization;
+    }
+
+    // unless already impersonating on a per request basis
+    if (this.impersonate && !hasImpersonation(opts.headers)) {
+      opts.headers = opts.headers || {};
+      applyImpersonation(opts.headers, this.impersonate);
+    }
+
+    await super.applyToRequest(opts);
+
+    if (opts.headers && opts.headers.Authorization) {
+      this.authorization = opts.headers.Authorization;
+    }
+  }
+
+  /**
+   * @param {*} opts https options
+   */
+  async applytoHTTPSOptions(opts) {
+    this.refreshTokenFile();
+    this.expireExecCredentials();
+    await super.applytoHTTPSOptions(opts);
+
+    // websockets (exec, port-forward)
+    if (this.impersonate) {
+      opts.headers = opts.headers || {};
+      applyImpersonation(opts.headers, this.impersonate);
+    }
+  }
+
+  /**
+   * limit the requests made with makeHttpRestRequest (client-side)
+   *
+   * @param {*} qps 0 disables the limit
+   * @param {*} burst
+   */
+  setRateLimit(qps, burst) {
+    this.rateLimiter = qps > 0 ? new RateLimiter(qps, burst) : null;
+    this.contextClients.forEach(client => {
+      client.rateLimiter = this.rateLimiter;
+    });
+  }
+
+  /**
+   * names of all contexts of the kubeconfig
+   */
+  getContextNames() {
+    return (this.getContexts() || []).map(context => {
+      return context.name;
+    });
+  }
+
+  /**
+   * namespace of the current context, "default" if not set
+   */
+  getCurrentNamespace() {
+    const context = this.getContextObject(this.getCurrentContext());
+    return (context && context.namespace) || "default";
+  }
+
+  /**
+   * Returns a client targeting another context of the same kubeconfig
+   *
+   * clients are cached (each with its own discovery cache) and share the rate
+   * limit of this client
+   *
+   * @param {*} name empty for the current context
+   */
+  forContext(name) {
+    if (!name || name == this.getCurrentContext()) {
+      return this;
+    }
+
+    if (!this.getContextObject(name)) {
+      throw new Error(`unknown context: ${name}`);
+    }
+
+    if (!this.contextClients.has(name)) {
+      const client = new KubeConfig();
+      client.loadFromOptions({
+        clusters: this.getClusters(),
+        contexts: this.getContexts(),
+        users: this.getUsers(),
+        currentContext: name
+      });
+      client.rateLimiter = this.rateLimiter;
+      client.impersonate = this.impersonate;
+      this.contextClients.set(name, client);
+    }
+
+    return this.contextClients.get(name);
   }
 
   /**
    * creates a new watch instance
+   *
+   * @param {*} impersonate optional impersonation overriding the config
+   */
+  createWatch(impersonate) {
+    impersonate = parseImpersonation(impersonate);
+    if (!impersonate) {
+      return new k8s.Watch(this);
+    }
+
+    // replaces the impersonation of the config
+    return new k8s.Watch(this, {
+      webRequest(opts, callback) {
+        opts.headers = opts.headers || {};
+        applyImpersonation(opts.headers, impersonate);
+        return request(opts, callback);
+      }
+    });
+  }
+
+  /**
+   * creates a new log instance
+   */
+  createLog() {
+    return new k8s.Log(this);
+  }
+
+  /**
+   * creates a new exec instance (websocket, channel.k8s.io protocols)
+   */
+  createExec() {
+    return new k8s.Exec(
+      this,
+      new WebSocketHandler(this, (uri, opts) => {
+        return new WebSocket(uri, EXEC_PROTOCOLS, opts);
+      })
+    );
+  }
+
+  /**
+   * creates a new port forward instance (websocket, one per connection)
+   */
+  createPortForward() {
+    return new k8s.PortForward(this);
+  }
+
+  /**
+   * Run a command in a pod container via the exec subresource
+   *
+   * resolves with { stdout, stderr, code, status, timedOut } where status is
+   * the V1Status received on the status channel and code the parsed exit code,
+   * on timeout the output received so far is resolved with timedOut = true
+   *
+   * stdin is closed after writing when the server speaks v5.channel.k8s.io,
+   * older protocols have no way to signal the end of stdin (short of closing
+   * the connection) so the command must exit on its own
+   *
+   * @param {*} namespace
+   * @param {*} pod
+   * @param {*} container
+   * @param {*} command
+   * @param {*} stdin
+   * @param {*} timeout milliseconds (0 to disable)
    */
-  createWatch() {
-    return new k8s.Watch(this);
+  async execCommand(namespace, pod, container, command, stdin, timeout = 0) {
+    const exec = this.createExec();
+    let stdout = "";
+    let stderr = "";
+    const stdoutStream = new stream.Writable({
+      write(chunk, encoding, callback) {
+        stdout += chunk.toString();
+        callback();
+      }
+    });
+    const stderrStream = new stream.Writable({
+      write(chunk, encoding, callback) {
+        stderr += chunk.toString();
+        callback();
+      }
+    });
+
+    // only requests the stdin channel, data is written to the socket directly
+    // as the library closes the connection when the stream ends
+    let stdinStream = null;
+    if (stdin !== undefined && stdin !== null && stdin !== "") {
+      stdinStream = new stream.PassThrough();
+    }
+
+    return new Promise(async (resolve, reject) => {
+      let finished = false;
+      let timer;
+      let conn;
+
+      function finish(err, status, timedOut = false) {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        clearTimeout(timer);
+        if (conn) {
+          conn.close();
+        }
+
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        let code = null;
+        if (status) {
+          if (status.status == "Success") {
+            code = 0;
+          } else if (
+            status.reason == "NonZeroExitCode" &&
+            status.details &&
+            status.details.causes
+          ) {
+            const cause = status.details.causes.find(cause => {
+              return cause.reason == "ExitCode";
+            });
+            if (cause) {
+              code = parseInt(cause.message);
+            }
+          }
+        }
+
+        resolve({ stdout, stderr, code, status: status || null, timedOut });
+      }
+
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          finish(null, null, true);
+        }, timeout);
+      }
+
+      try {
+        conn = await exec.exec(
+          namespace,
+          pod,
+          container || undefined,
+          command,
+          stdoutStream,
+          stderrStream,
+          stdinStream,
+          false,
+          status => {
+            finish(null, status);
+          }
+        );
+      } catch (err) {
+        finish(
+          err.message ? err : new Error(`exec failed: ${err.type || err}`)
+        );
+        return;
+      }
+
+      if (finished) {
+        conn.close();
+        return;
+      }
+
+      conn.on("close", () => {
+        finish(null, null);
+      });
+
+      if (stdinStream) {
+        const data = Buffer.isBuffer(stdin)
+          ? stdin
+          : Buffer.from(String(stdin));
+        conn.send(Buffer.concat([Buffer.from([STDIN_CHANNEL]), data]));
+        if (conn.protocol == "v5.channel.k8s.io") {
+          conn.send(Buffer.from([CLOSE_CHANNEL, STDIN_CHANNEL]));
+        }
+      }
+    });
   }
 
   /**
    * msg.method
    * msg.topic
    * msg.payload
+   * msg.fieldManager (APPLY only)
+   * msg.force (APPLY only)
+   * msg.dryRun (non-GET only)
    *
    * @param {*} msg
    */
@@ -31,13 +633,51 @@ class KubeConfig extends k8s.KubeConfig {
     const kc = this;
     return new Promise(async (resolve, reject) => {
       let endpoint = msg.topic;
+
+      // msg.kube.resource addresses objects/collections by kind
+      if (!endpoint && msg.kube && msg.kube.resource) {
+        try {
+          endpoint = await this.buildResourceLink(msg.kube.resource);
+        } catch (err) {
+          reject(err);
+          return;
+        }
+      }
+
+      // APPLY of a full manifest can derive the endpoint from the manifest
+      if (
+        !endpoint &&
+        String(msg.method).toUpperCase() == "APPLY" &&
+        typeof msg.payload == "object"
+      ) {
+        endpoint = msg.payload;
+      }
+
       if (typeof endpoint == "object") {
+        const object = endpoint;
         try {
-          endpoint = await this.buildResourceSelfLink(msg.topic);
+          endpoint = await this.buildResourceSelfLink(object);
         } catch (err) {
           reject(err);
+          return;
+        }
+
+        if (!endpoint) {
+          reject(
+            new Error(
+              `unknown kind: ${object.kind}${
+                object.apiVersion ? ` (${object.apiVersion})` : ""
+              }`
+            )
+          );
+          return;
         }
       }
+
+      if (!endpoint) {
+        reject(new Error("missing msg.topic or msg.kube.resource"));
+        return;
+      }
       endpoint = kc.buildWatchlessURI(endpoint);
       msg.method = msg.method || "GET";
       const options = {
@@ -54,7 +694,25 @@ class KubeConfig extends k8s.KubeConfig {
         //}
       };
 
-      kc.applyToRequest(options);
+      try {
+        await kc.applyToRequest(options);
+      } catch (err) {
+        reject(err);
+        return;
+      }
+
+      // msg.kube.impersonate replaces the impersonation of the config
+      if (msg.kube && msg.kube.impersonate) {
+        try {
+          applyImpersonation(
+            options.headers,
+            parseImpersonation(msg.kube.impersonate)
+          );
+        } catch (err) {
+          reject(err);
+          return;
+        }
+      }
 
       if (msg.method.includes("PATCH")) {
         /**
@@ -83,6 +741,27 @@ class KubeConfig extends k8s.KubeConfig {
         options.method = "PATCH";
       }
 
+      if (options.method == "APPLY") {
+        /**
+         * https://kubernetes.io/docs/reference/using-api/api-concepts/#server-side-apply
+         *
+         * json is a subset of yaml so the body is sent as json
+         */
+        options["headers"]["Content-Type"] = "application/apply-patch+yaml";
+        options.qs = {
+          fieldManager: msg.fieldManager || DEFAULT_FIELD_MANAGER
+        };
+        if (msg.force) {
+          options.qs.force = true;
+        }
+
+        options.method = "PATCH";
+      }
+
+      if (msg.dryRun && options.method != "GET") {
+        options.qs = Object.assign({}, options.qs, { dryRun: "All" });
+      }
+
       switch (options.method.toUpperCase()) {
         case "GET":
           options.qs = msg.payload;
@@ -92,13 +771,226 @@ class KubeConfig extends k8s.KubeConfig {
           break;
       }
 
-      request(options, function(err, res, body) {
-        if (err) {
-          reject(err);
+      if (msg.timeout > 0) {
+        options.timeout = msg.timeout * 1000;
+      }
+
+      kc.sendHttpRequest(options, msg.retries).then(resolve, reject);
+    });
+  }
+
+  /**
+   * Send a request honoring the rate limit, retrying up to retries times
+   *
+   * a 401 response is retried once with refreshed credentials
+   *
+   * network errors and 5xx responses are retried for idempotent methods only,
+   * 429 responses (not processed by the server) for every method, the
+   * Retry-After header takes precedence over the backoff
+   *
+   * the response includes throttle: { wait, retries } where wait is the total
+   * milliseconds spent waiting on the rate limit and between retries
+   *
+   * @param {*} options request options
+   * @param {*} retries
+   */
+  async sendHttpRequest(options, retries = 0) {
+    const throttle = { wait: 0, retries: 0 };
+    const policy = new ReconnectPolicy({
+      initialDelay: RETRY_INITIAL_DELAY,
+      maxDelay: RETRY_MAX_DELAY
+    });
+    retries = parseInt(retries) > 0 ? parseInt(retries) : 0;
+    let credentialsRefreshed = false;
+
+    while (true) {
+      if (this.rateLimiter) {
+        throttle.wait += await this.rateLimiter.acquire();
+      }
+
+      let res;
+      let error;
+      try {
+        res = await new Promise((resolve, reject) => {
+          request(options, function(err, res, body) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(res);
+          });
+        });
+      } catch (err) {
+        error = err;
+      }
+
+      // credentials may have been rotated, refresh them and retry once
+      if (res && res.statusCode == 401 && !credentialsRefreshed) {
+        credentialsRefreshed = true;
+        try {
+          await this.refreshCredentials(true);
+          await this.applyToRequest(options);
+          continue;
+        } catch (err) {}
+      }
+
+      const retryable = isRetryable(
+        options.method,
+        res ? res.statusCode : null
+      );
+
+      if (!retryable || throttle.retries >= retries) {
+        if (error) {
+          error.throttle = throttle;
+          throw error;
         }
-        resolve(res);
+        res.throttle = throttle;
+        return res;
+      }
+
+      let delay = policy.next();
+      const retryAfter = res ? parseInt(res.headers["retry-after"]) : NaN;
+      if (retryAfter >= 0) {
+        delay = Math.min(retryAfter, RETRY_MAX_DELAY) * 1000;
+      }
+
+      throttle.retries++;
+      throttle.wait += delay;
+      await new Promise(resolve => {
+        setTimeout(resolve, delay);
       });
-    });
+    }
+  }
+
+  /**
+   * Send a mutating request with dryRun=All and compare the server computed
+   * result with the current live object
+   *
+   * resolves with { res, live, diff } where live is null if the object does
+   * not exist (yet)
+   *
+   * @param {*} msg
+   */
+  async makeDryRunHttpRestRequest(msg) {
+    const method = String(msg.method || "GET").toUpperCase();
+    let endpoint = msg.topic;
+    const resource = !endpoint && msg.kube && msg.kube.resource;
+    if (!endpoint && method == "APPLY" && typeof msg.payload == "object") {
+      endpoint = msg.payload;
+    }
+
+    if (resource) {
+      // POST is sent to the collection, the live object is a member of it
+      const metadata = (msg.payload && msg.payload.metadata) || {};
+      const name = resource.name || (method == "POST" && metadata.name);
+      endpoint = name
+        ? await this.buildResourceLink({
+            apiVersion: resource.apiVersion,
+            kind: resource.kind,
+            namespace: resource.namespace || metadata.namespace,
+            name,
+            subresource: resource.subresource
+          })
+        : null;
+    } else if (typeof endpoint == "object") {
+      endpoint = await this.buildResourceSelfLink(endpoint);
+    } else if (endpoint && method == "POST") {
+      // POST is sent to the collection, the live object is a member of it
+      endpoint =
+        msg.payload && msg.payload.metadata && msg.payload.metadata.name
+          ? `${URI.parse(endpoint).path}/${msg.payload.metadata.name}`
+          : null;
+    }
+
+    let live = null;
+    if (endpoint) {
+      const liveRes = await this.makeHttpRestRequest({
+        topic: endpoint,
+        kube: msg.kube
+      });
+      if (liveRes.statusCode == 200) {
+        live = liveRes.body;
+      }
+    }
+
+    const res = await this.makeHttpRestRequest(
+      Object.assign({}, msg, { dryRun: true })
+    );
+
+    let changes = null;
+    if (res.statusCode >= 200 && res.statusCode < 300) {
+      if (method == "DELETE") {
+        changes = live ? [{ op: "remove", path: "", oldValue: live }] : [];
+      } else if (!live) {
+        changes = [{ op: "add", path: "", value: res.body }];
+      } else {
+        changes = diff(live, res.body, DRY_RUN_IGNORED_PATHS);
+      }
+    }
+
+    return { res, live, diff: changes };
+  }
+
+  /**
+   * Follow metadata.continue through all pages of a list response
+   *
+   * If pageCallback is given it is invoked with each page as it arrives
+   * (pageCallback(res, index, last)), otherwise the items of every page are
+   * merged into the body of the final response.
+   *
+   * https://kubernetes.io/docs/reference/using-api/api-concepts/#retrieving-large-results-sets-in-chunks
+   *
+   * @param {*} msg
+   * @param {*} pageCallback
+   */
+  async makePaginatedHttpRestRequest(msg, pageCallback) {
+    const payload = Object.assign({}, msg.payload);
+    let items = [];
+    let index = 0;
+    let res;
+    const throttle = { wait: 0, retries: 0 };
+
+    do {
+      res = await this.makeHttpRestRequest(
+        Object.assign({}, msg, { method: "GET", payload })
+      );
+      throttle.wait += res.throttle.wait;
+      throttle.retries += res.throttle.retries;
+
+      if (
+        res.statusCode != 200 ||
+        !res.body ||
+        !Array.isArray(res.body.items)
+      ) {
+        if (pageCallback) {
+          await pageCallback(res, index, true);
+        }
+        return res;
+      }
+
+      payload.continue = res.body.metadata
+        ? res.body.metadata.continue
+        : undefined;
+
+      if (pageCallback) {
+        await pageCallback(res, index, !payload.continue);
+      } else {
+        items = items.concat(res.body.items);
+      }
+
+      index++;
+    } while (payload.continue);
+
+    if (!pageCallback) {
+      res.body.items = items;
+      res.throttle = throttle;
+      if (res.body.metadata) {
+        delete res.body.metadata.continue;
+        delete res.body.metadata.remainingItemCount;
+      }
+    }
+
+    return res;
   }
 
   /**
@@ -242,9 +1134,45 @@ class KubeConfig extends k8s.KubeConfig {
   }
 
   /**
-   * 
-   * @param {*} kind 
-   * @param {*} version 
+   * Flattened list of all discovered resources (subresources excluded)
+   *
+   * [{ apiVersion, kind, name, namespaced, verbs, shortNames, preferred }]
+   */
+  async listAPIResources() {
+    const resources = await this.getAPIResources();
+    const apiGroups = await this.getAPIGroups();
+    const preferredVersions = (apiGroups.groups || []).map(group => {
+      return group.preferredVersion.groupVersion;
+    });
+
+    const results = [];
+    resources.forEach(resourceList => {
+      resourceList.resources.forEach(resource => {
+        if (resource.name.includes("/")) {
+          return;
+        }
+
+        results.push({
+          apiVersion: resourceList.groupVersion,
+          kind: resource.kind,
+          name: resource.name,
+          namespaced: resource.namespaced,
+          verbs: resource.verbs || [],
+          shortNames: resource.shortNames || [],
+          preferred:
+            resourceList.groupVersion == "v1" ||
+            preferredVersions.includes(resourceList.groupVersion)
+        });
+      });
+    });
+
+    return results;
+  }
+
+  /**
+   *
+   * @param {*} kind
+   * @param {*} version
    */
   async getApiGroupVersion(kind, version) {
     const resources = await this.getAPIResources(true);
@@ -285,87 +1213,398 @@ class KubeConfig extends k8s.KubeConfig {
       }
     }
 
-    // for testing
-    //apiVersion = undefined;
+    const definition = await this.getAPIResource(kind, apiVersion);
+    if (!definition) {
+      return;
+    }
 
-    if (!apiVersion) {
-      apiVersion = await this.getApiGroupVersion(kind);
+    let endpoint = "";
+    if (definition.resource.namespaced) {
+      // manifests commonly leave the namespace to the client (ie: kubectl)
+      namespace = namespace || this.getCurrentNamespace();
+      endpoint = `${definition.prefix}/${definition.apiVersion}/namespaces/${namespace}/${definition.resource.name}/${name}`;
+    } else {
+      endpoint = `${definition.prefix}/${definition.apiVersion}/${definition.resource.name}/${name}`;
     }
 
-    if (apiVersion == undefined || apiVersion === null) {
-      throw new Error("missing apiVersion");
+    return endpoint;
+  }
+
+  /**
+   * Build the collection endpoint of a resource (ie: for list/watch/create)
+   *
+   * if namespace is empty the endpoint spans all namespaces
+   *
+   * @param {*} kind
+   * @param {*} apiVersion
+   * @param {*} namespace
+   */
+  async buildResourceListLink(kind, apiVersion, namespace) {
+    const definition = await this.getAPIResource(kind, apiVersion);
+    if (!definition) {
+      throw new Error("failure to lookup resource listLink");
     }
 
-    let prefix = "/apis";
-    if (apiVersion == "v1") {
-      prefix = "/api";
+    if (definition.resource.namespaced && namespace) {
+      return `${definition.prefix}/${definition.apiVersion}/namespaces/${namespace}/${definition.resource.name}`;
     }
 
-    //console.log(kind, apiVersion, name, namespace);
+    return `${definition.prefix}/${definition.apiVersion}/${definition.resource.name}`;
+  }
 
-    /**
-     * cache each unique resource as a key
-     * allows for JIT lookup and freshness on a per-resource basis
-     */
-    let cacheKey = `${prefix}/${apiVersion}`;
-    res = this.discoveryCache.get(cacheKey);
+  /**
+   * Build the endpoint of an object, subresource or collection
+   *
+   * { apiVersion, kind, namespace, name, subresource, labelSelector, fieldSelector }
+   *
+   * without name the collection is addressed, without namespace the
+   * collection spans all namespaces
+   *
+   * @param {*} resource
+   */
+  async buildResourceLink(resource) {
+    if (!resource || typeof resource != "object") {
+      throw new Error("invalid resource, expected an object");
+    }
+
+    const definition = await this.getAPIResource(
+      resource.kind,
+      resource.apiVersion
+    );
+
+    let endpoint = `${definition.prefix}/${definition.apiVersion}`;
+    if (definition.resource.namespaced && resource.namespace) {
+      endpoint += `/namespaces/${encodeURIComponent(resource.namespace)}`;
+    } else if (definition.resource.namespaced && resource.name) {
+      throw new Error(
+        `missing namespace of ${definition.resource.kind} ${resource.name}`
+      );
+    }
+
+    endpoint += `/${definition.resource.name}`;
+    if (resource.name) {
+      endpoint += `/${encodeURIComponent(resource.name)}`;
+    }
+
+    if (resource.subresource) {
+      if (!resource.name) {
+        throw new Error(`missing name of subresource ${resource.subresource}`);
+      }
+
+      if (!definition.subresources.includes(resource.subresource)) {
+        throw new Error(
+          `unknown subresource: ${definition.resource.name}/${resource.subresource}`
+        );
+      }
+
+      endpoint += `/${resource.subresource}`;
+    }
+
+    const query = {};
+    ["labelSelector", "fieldSelector"].forEach(key => {
+      if (resource[key]) {
+        query[key] = formatSelector(resource[key]);
+      }
+    });
+    if (Object.keys(query).length > 0) {
+      endpoint += `?${queryString.stringify(query)}`;
+    }
+
+    return endpoint;
+  }
+
+  /**
+   * APIResourceList of a single groupVersion, cached per groupVersion so
+   * that a fully qualified kind does not require the discovery of all groups
+   *
+   * resolves undefined if the groupVersion does not exist
+   *
+   * @param {*} groupVersion
+   */
+  async getAPIResourceList(groupVersion) {
+    const cacheKey = `${
+      groupVersion.includes("/") ? "/apis" : "/api"
+    }/${groupVersion}`;
+    let res = this.discoveryCache.get(cacheKey);
     if (res === undefined) {
-      res = await this.makeHttpRestRequest({
-        topic: `${prefix}/${apiVersion}`
-      });
+      res = await this.makeHttpRestRequest({ topic: cacheKey });
 
       if (res.statusCode == 200) {
         res = res.body;
         this.discoveryCache.set(cacheKey, res);
-      } else if (res.statusCode == 404) {
-        // assume in incomplete apiVersion (ie: only the version and not groupVersion)
-        // attempt to find full groupVersion
-
-        let newApiVersion = await this.getApiGroupVersion(kind, apiVersion);
-        // try again
-        if (newApiVersion && newApiVersion != apiVersion) {
-          apiVersion = newApiVersion;
-          res = await this.makeHttpRestRequest({
-            topic: `${prefix}/${apiVersion}`
-          });
-
-          if (res.statusCode == 200) {
-            res = res.body;
-            this.discoveryCache.set(cacheKey, res);
-          } else {
-            res = res.body;
-            this.discoveryCache.set(cacheKey, res, FAILURE_CACHE_TIME);
-          }
-        } else {
-          res = res.body;
-          this.discoveryCache.set(cacheKey, res, FAILURE_CACHE_TIME);
-        }
       } else {
         res = res.body;
         this.discoveryCache.set(cacheKey, res, FAILURE_CACHE_TIME);
       }
     }
 
-    if (!res.resources) {
-      return;
+    if (res && res.resources) {
+      return res;
+    }
+  }
+
+  /**
+   * Lookup the discovery details of a kind by any of its aliases: kind,
+   * plural, singular or short name (case-insensitive, ie: Deployment,
+   * deployments, deploy)
+   *
+   * apiVersion may be a groupVersion or only a version, if not given the
+   * preferred version is used with the core group taking precedence
+   *
+   * returns { prefix, apiVersion, resource, subresources } where resource is
+   * the entry of the APIResourceList
+   *
+   * @param {*} kind
+   * @param {*} apiVersion
+   */
+  async getAPIResource(kind, apiVersion) {
+    if (!kind) {
+      throw new Error("missing kind");
     }
 
-    let resource = res.resources.find(resource => {
-      return resource.kind == kind;
+    const alias = String(kind).toLowerCase();
+
+    // fully qualified, only the discovery of its groupVersion is required
+    if (apiVersion && (apiVersion == "v1" || apiVersion.includes("/"))) {
+      const resourceList = await this.getAPIResourceList(apiVersion);
+      const resource = resourceList
+        ? resourceList.resources.find(resource => {
+            return matchesResource(resource, alias);
+          })
+        : null;
+      if (resource) {
+        return describeResource(resourceList, resource);
+      }
+    }
+
+    const resourceLists = await this.getAPIResources();
+    const apiGroups = await this.getAPIGroups();
+    const preferredVersions = (apiGroups.groups || []).map(group => {
+      return group.preferredVersion.groupVersion;
     });
 
-    if (resource) {
-      let endpoint = "";
-      if (resource.namespaced) {
-        endpoint = `${prefix}/${apiVersion}/namespaces/${namespace}/${resource.name}/${name}`;
+    let matches = [];
+    resourceLists.forEach(resourceList => {
+      resourceList.resources.forEach(resource => {
+        if (matchesResource(resource, alias)) {
+          matches.push({ resourceList, resource });
+        }
+      });
+    });
+
+    if (apiVersion) {
+      const exact = matches.filter(match => {
+        return match.resourceList.groupVersion == apiVersion;
+      });
+      if (exact.length == 0 && !apiVersion.includes("/")) {
+        matches = matches.filter(match => {
+          return match.resourceList.groupVersion.split("/").pop() == apiVersion;
+        });
       } else {
-        endpoint = `${prefix}/${apiVersion}/${resource.name}/${name}`;
+        matches = exact;
       }
-
-      return endpoint;
     } else {
+      const preferred = matches.filter(match => {
+        return (
+          match.resourceList.groupVersion == "v1" ||
+          preferredVersions.includes(match.resourceList.groupVersion)
+        );
+      });
+      if (preferred.length > 0) {
+        matches = preferred;
+      }
+    }
+
+    if (matches.length == 0) {
+      throw new Error(
+        `unknown kind: ${kind}${apiVersion ? ` (${apiVersion})` : ""}`
+      );
+    }
+
+    // core group first (ie: events)
+    matches.sort((a, b) => {
+      return (
+        a.resourceList.groupVersion.includes("/") -
+        b.resourceList.groupVersion.includes("/")
+      );
+    });
+
+    return describeResource(matches[0].resourceList, matches[0].resource);
+  }
+
+  /**
+   * Watch a single object
+   *
+   * callback(type, object) is invoked with type SYNC and the current state of
+   * the object (null if it does not exist) and then for every watch event.
+   * The watch is transparently resumed from the latest resourceVersion (with
+   * backoff) and the object is fetched again (SYNC) if the resourceVersion is
+   * gone.
+   *
+   * permanent failures (see classifyError) stop the watch and are passed to
+   * onError, a 401 is only permanent once the credentials have been refreshed
+   *
+   * resolves with a handle, call handle.stop() to end the watch
+   *
+   * @param {*} reference selfLink or object reference
+   * @param {*} callback
+   * @param {*} onError
+   */
+  async watchObject(reference, callback, onError) {
+    const kc = this;
+    const selfLink =
+      typeof reference == "string"
+        ? reference
+        : await this.buildResourceSelfLink(reference);
+    if (!selfLink) {
       throw new Error("failure to lookup resource selfLink");
     }
+
+    const parts = URI.parse(selfLink).path.split("/");
+    const name = parts.pop();
+    const collection = parts.join("/");
+    const fieldSelector = `metadata.name=${name}`;
+    const watch = this.createWatch();
+    const policy = new ReconnectPolicy();
+    const handle = {
+      stopped: false,
+      request: null,
+      timer: null,
+      stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        if (this.request) {
+          this.request.abort();
+          this.request = null;
+        }
+      }
+    };
+    let resourceVersion = null;
+    let credentialsRefreshed = false;
+    let gone = false;
+
+    async function sync() {
+      const res = await kc.makeHttpRestRequest({
+        topic: collection,
+        payload: { fieldSelector }
+      });
+
+      if (res.statusCode != 200) {
+        const err = new Error(
+          `failed to get ${selfLink} - code: ${res.statusCode}, message: ${
+            res.body ? res.body.message : ""
+          }`
+        );
+        err.statusCode = res.statusCode;
+        throw err;
+      }
+
+      gone = false;
+      resourceVersion = res.body.metadata.resourceVersion;
+      let object = res.body.items[0] || null;
+      if (object) {
+        // items of a List do not include kind/apiVersion
+        object.kind = object.kind || res.body.kind.replace(/List$/, "");
+        object.apiVersion = object.apiVersion || res.body.apiVersion;
+      }
+
+      if (!handle.stopped) {
+        callback("SYNC", object);
+      }
+    }
+
+    async function reconnect(err) {
+      if (handle.stopped) {
+        return;
+      }
+
+      const classification = classifyError(err);
+      if (classification.type == "unauthorized" && !credentialsRefreshed) {
+        credentialsRefreshed = true;
+        try {
+          await kc.refreshCredentials(true);
+        } catch (e) {}
+      } else if (classification.permanent || policy.exhausted) {
+        handle.stop();
+        err.type = classification.type;
+        if (onError) {
+          onError(err);
+        }
+        return;
+      }
+
+      // a gone resourceVersion is fetched again right away (once)
+      const delay = policy.next();
+      handle.timer = setTimeout(
+        async () => {
+          try {
+            if (gone) {
+              await sync();
+            }
+            start();
+          } catch (err) {
+            reconnect(err);
+          }
+        },
+        gone && policy.attempt == 1 ? 0 : delay
+      );
+    }
+
+    function start() {
+      if (handle.stopped) {
+        return;
+      }
+
+      let statusCode = null;
+      handle.request = watch.watch(
+        collection,
+        { fieldSelector, resourceVersion, allowWatchBookmarks: true },
+        (type, object) => {
+          if (handle.stopped || type === undefined || object === undefined) {
+            return;
+          }
+
+          if (type == "ERROR") {
+            if (object.code == 410) {
+              gone = true;
+            }
+            return;
+          }
+
+          if (object.metadata && object.metadata.resourceVersion) {
+            resourceVersion = object.metadata.resourceVersion;
+          }
+
+          // bookmarks only advance the resourceVersion
+          if (type == "BOOKMARK") {
+            return;
+          }
+          callback(type, object);
+        },
+        err => {
+          if (handle.stopped) {
+            return;
+          }
+
+          err = err || new Error("watch closed");
+          err.statusCode = err.statusCode || statusCode;
+          reconnect(err);
+        }
+      );
+
+      handle.request.on("response", response => {
+        statusCode = response.statusCode;
+        if (statusCode == 200) {
+          policy.reset();
+          credentialsRefreshed = false;
+        }
+      });
+    }
+
+    await sync();
+    start();
+
+    return handle;
   }
 
   async dressEventResource(event, removeOld = true) {
@@ -425,3 +1664,4 @@ class KubeConfig extends k8s.KubeConfig {
 }
 
 module.exports.KubeConfig = KubeConfig;
+module.exports.parseImpersonation = parseImpersonation;
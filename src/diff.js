@@ -0,0 +1,148 @@
+"use strict";
+
+/**
+ * Parse a dotted path expression into segments
+ *
+ * status.conditions[*].lastHeartbeatTime => ["status", "conditions", "*", "lastHeartbeatTime"]
+ *
+ * @param {*} path
+ */
+function parsePath(path) {
+  return String(path)
+    .trim()
+    .replace(/\[([^\]]*)\]/g, ".$1")
+    .split(".")
+    .filter(segment => {
+      return segment.length > 0;
+    });
+}
+
+/**
+ * Parse a comma and/or newline separated list of path expressions
+ *
+ * @param {*} paths
+ */
+function parsePaths(paths) {
+  if (!paths) {
+    return [];
+  }
+
+  if (!Array.isArray(paths)) {
+    paths = String(paths).split(/[,\n]/);
+  }
+
+  return paths.map(parsePath).filter(segments => {
+    return segments.length > 0;
+  });
+}
+
+/**
+ * true if the leading segments of path match the pattern
+ * (ie: the pattern matches the path itself or an ancestor of it)
+ *
+ * @param {*} segments
+ * @param {*} pattern
+ */
+function pathMatches(segments, pattern) {
+  if (pattern.length > segments.length) {
+    return false;
+  }
+
+  return pattern.every((part, i) => {
+    return part == "*" || part == String(segments[i]);
+  });
+}
+
+/**
+ * RFC 6901 JSON pointer
+ *
+ * @param {*} segments
+ */
+function toPointer(segments) {
+  return segments
+    .map(segment => {
+      return (
+        "/" +
+        String(segment)
+          .replace(/~/g, "~0")
+          .replace(/\//g, "~1")
+      );
+    })
+    .join("");
+}
+
+function isObject(value) {
+  return value !== null && typeof value == "object";
+}
+
+/**
+ * Compute the differences between 2 json documents
+ *
+ * Returns a list of operations in the style of RFC 6902 (add/remove/replace)
+ * with the previous value included as oldValue. Paths matching any of the
+ * ignoredPaths (see parsePath) are skipped.
+ *
+ * @param {*} previous
+ * @param {*} current
+ * @param {*} ignoredPaths
+ */
+function diff(previous, current, ignoredPaths = []) {
+  const patterns = parsePaths(ignoredPaths);
+  const operations = [];
+
+  function isIgnored(segments) {
+    return patterns.some(pattern => {
+      return pathMatches(segments, pattern);
+    });
+  }
+
+  function walk(a, b, segments) {
+    if (isIgnored(segments)) {
+      return;
+    }
+
+    if (isObject(a) && isObject(b) && Array.isArray(a) == Array.isArray(b)) {
+      const keys = new Set(Object.keys(a).concat(Object.keys(b)));
+      keys.forEach(key => {
+        const childSegments = segments.concat([key]);
+        if (!a.hasOwnProperty(key)) {
+          if (!isIgnored(childSegments)) {
+            operations.push({
+              op: "add",
+              path: toPointer(childSegments),
+              value: b[key]
+            });
+          }
+        } else if (!b.hasOwnProperty(key)) {
+          if (!isIgnored(childSegments)) {
+            operations.push({
+              op: "remove",
+              path: toPointer(childSegments),
+              oldValue: a[key]
+            });
+          }
+        } else {
+          walk(a[key], b[key], childSegments);
+        }
+      });
+      return;
+    }
+
+    if (JSON.stringify(a) !== JSON.stringify(b)) {
+      operations.push({
+        op: "replace",
+        path: toPointer(segments),
+        value: b,
+        oldValue: a
+      });
+    }
+  }
+
+  walk(previous, current, []);
+
+  return operations;
+}
+
+module.exports.diff = diff;
+module.exports.parsePath = parsePath;
+module.exports.parsePaths = parsePaths;
@@ -0,0 +1,226 @@
+"use strict";
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const os = require("os");
+
+/**
+ * MicroTime requires exactly 6 fractional digits
+ *
+ * @param {*} date
+ */
+function toMicroTime(date) {
+  return date.toISOString().replace(/\.(\d{3})Z$/, ".$1000Z");
+}
+
+/**
+ * unique per process, shared by all electors of the process
+ */
+const DEFAULT_IDENTITY = `${os.hostname()}_${crypto
+  .randomBytes(4)
+  .toString("hex")}`;
+
+/**
+ * Leader election backed by a coordination.k8s.io/v1 Lease
+ *
+ * emits "leader" when leadership is acquired and "standby" when it is lost
+ * (or not acquired on the first attempt), "error" on api failures
+ *
+ * https://kubernetes.io/docs/reference/kubernetes-api/cluster-resources/lease-v1/
+ */
+class LeaderElector extends EventEmitter {
+  /**
+   * @param {*} kc KubeConfig
+   * @param {*} options { name, namespace, identity, leaseDuration, renewDeadline, retryPeriod } (seconds)
+   */
+  constructor(kc, options = {}) {
+    super();
+    this.kc = kc;
+    this.name = options.name;
+    this.namespace = options.namespace || "default";
+    this.identity = options.identity || DEFAULT_IDENTITY;
+    this.leaseDuration = options.leaseDuration || 15;
+    this.renewDeadline = options.renewDeadline || 10;
+    this.retryPeriod = options.retryPeriod || 2;
+    this.isLeader = null;
+    this.holderIdentity = null;
+    this.lastRenew = 0;
+    this.running = false;
+    this.timer = null;
+  }
+
+  get endpoint() {
+    return `/apis/coordination.k8s.io/v1/namespaces/${this.namespace}/leases`;
+  }
+
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this.loop();
+  }
+
+  /**
+   * stop participating, the lease is released if currently held
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    if (this.isLeader) {
+      try {
+        await this.release();
+      } catch (err) {}
+    }
+    this.setLeader(false);
+  }
+
+  async loop() {
+    if (!this.running) {
+      return;
+    }
+
+    try {
+      const acquired = await this.tryAcquireOrRenew();
+      if (acquired) {
+        this.lastRenew = Date.now();
+      }
+    } catch (err) {
+      this.emit("error", err);
+    }
+
+    if (!this.running) {
+      return;
+    }
+
+    if (Date.now() - this.lastRenew < this.renewDeadline * 1000) {
+      this.setLeader(true);
+    } else {
+      this.setLeader(false);
+    }
+
+    this.timer = setTimeout(() => {
+      this.loop();
+    }, this.retryPeriod * 1000);
+  }
+
+  setLeader(isLeader) {
+    if (this.isLeader === isLeader) {
+      return;
+    }
+    this.isLeader = isLeader;
+    this.emit(isLeader ? "leader" : "standby");
+  }
+
+  /**
+   * returns true if the lease is held by this identity after the attempt
+   */
+  async tryAcquireOrRenew() {
+    const now = new Date();
+    let res = await this.kc.makeHttpRestRequest({
+      topic: `${this.endpoint}/${this.name}`
+    });
+
+    if (res.statusCode == 404) {
+      res = await this.kc.makeHttpRestRequest({
+        topic: this.endpoint,
+        method: "POST",
+        payload: {
+          apiVersion: "coordination.k8s.io/v1",
+          kind: "Lease",
+          metadata: { name: this.name, namespace: this.namespace },
+          spec: {
+            holderIdentity: this.identity,
+            leaseDurationSeconds: this.leaseDuration,
+            acquireTime: toMicroTime(now),
+            renewTime: toMicroTime(now),
+            leaseTransitions: 0
+          }
+        }
+      });
+      this.holderIdentity = res.statusCode == 201 ? this.identity : null;
+      return res.statusCode == 201;
+    }
+
+    if (res.statusCode != 200) {
+      throw new Error(
+        `failed to get lease ${this.namespace}/${this.name} - code: ${
+          res.statusCode
+        }, message: ${res.body ? res.body.message : ""}`
+      );
+    }
+
+    const lease = res.body;
+    const spec = lease.spec || {};
+    this.holderIdentity = spec.holderIdentity || null;
+    const renewTime = spec.renewTime ? Date.parse(spec.renewTime) : 0;
+    const duration = (spec.leaseDurationSeconds || this.leaseDuration) * 1000;
+
+    if (
+      spec.holderIdentity &&
+      spec.holderIdentity != this.identity &&
+      renewTime + duration > now.getTime()
+    ) {
+      return false;
+    }
+
+    if (spec.holderIdentity != this.identity) {
+      spec.acquireTime = toMicroTime(now);
+      spec.leaseTransitions = (spec.leaseTransitions || 0) + 1;
+    }
+    spec.holderIdentity = this.identity;
+    spec.leaseDurationSeconds = this.leaseDuration;
+    spec.renewTime = toMicroTime(now);
+    lease.spec = spec;
+
+    // resourceVersion makes the update conditional (409 when lost the race)
+    res = await this.kc.makeHttpRestRequest({
+      topic: `${this.endpoint}/${this.name}`,
+      method: "PUT",
+      payload: lease
+    });
+
+    if (res.statusCode == 200) {
+      this.holderIdentity = this.identity;
+      return true;
+    }
+
+    if (res.statusCode == 409) {
+      return false;
+    }
+
+    throw new Error(
+      `failed to update lease ${this.namespace}/${this.name} - code: ${
+        res.statusCode
+      }, message: ${res.body ? res.body.message : ""}`
+    );
+  }
+
+  /**
+   * give up the lease so another candidate can take over immediately
+   */
+  async release() {
+    const res = await this.kc.makeHttpRestRequest({
+      topic: `${this.endpoint}/${this.name}`
+    });
+
+    if (res.statusCode != 200 || !res.body.spec) {
+      return;
+    }
+
+    const lease = res.body;
+    if (lease.spec.holderIdentity != this.identity) {
+      return;
+    }
+
+    lease.spec.holderIdentity = null;
+    lease.spec.leaseDurationSeconds = 1;
+    lease.spec.renewTime = toMicroTime(new Date());
+    await this.kc.makeHttpRestRequest({
+      topic: `${this.endpoint}/${this.name}`,
+      method: "PUT",
+      payload: lease
+    });
+  }
+}
+
+module.exports.LeaderElector = LeaderElector;
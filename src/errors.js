@@ -0,0 +1,96 @@
+"use strict";
+
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+/**
+ * true if repeating the request could succeed without side effects
+ *
+ * 429 responses were not processed so any method may be repeated, network
+ * errors and 5xx responses only for idempotent methods
+ *
+ * @param {*} method http method
+ * @param {*} statusCode null/undefined for network errors
+ */
+function isRetryable(method, statusCode) {
+  method = String(method || "GET").toUpperCase();
+
+  if (statusCode == 429) {
+    return true;
+  }
+
+  if (!statusCode || statusCode >= 500) {
+    return IDEMPOTENT_METHODS.includes(method);
+  }
+
+  return false;
+}
+
+/**
+ * Normalize a failed request (network error or non-2xx response) or a watch
+ * ERROR event into a single structure
+ *
+ * {
+ *   statusCode: http status code (null for network errors),
+ *   code: network error code (ie: ECONNREFUSED),
+ *   reason: kubernetes Status reason (ie: NotFound, Conflict),
+ *   message,
+ *   causes: kubernetes Status details.causes,
+ *   retryable,
+ *   request: { method, url }
+ * }
+ *
+ * @param {*} source { err, res, status, request, retryable } where status is a Status object and retryable overrides the default
+ */
+function normalizeError(source = {}) {
+  const err = source.err;
+  const res = source.res;
+  const request = source.request || {};
+  let status = source.status;
+
+  if (!status && res && res.body && res.body.kind == "Status") {
+    status = res.body;
+  }
+  status = status || {};
+
+  let statusCode = null;
+  if (res) {
+    statusCode = res.statusCode;
+  } else if (status.code) {
+    statusCode = status.code;
+  } else if (err && err.statusCode) {
+    statusCode = err.statusCode;
+  }
+
+  // errors which are neither network errors nor responses (ie: bad input)
+  let retryable = false;
+  if (source.retryable !== undefined) {
+    retryable = source.retryable;
+  } else if (statusCode || (err && err.code)) {
+    retryable = isRetryable(request.method, statusCode);
+  }
+
+  let message = status.message;
+  if (!message && err) {
+    message = err.message || String(err);
+  }
+  if (!message && res) {
+    message = res.statusMessage;
+  }
+
+  return {
+    statusCode,
+    code: (err && err.code) || null,
+    reason: status.reason || null,
+    message: message || "",
+    causes: (status.details && status.details.causes) || [],
+    retryable,
+    request: {
+      method: request.method || "GET",
+      url: request.url || ""
+    }
+  };
+}
+
+module.exports.IDEMPOTENT_METHODS = IDEMPOTENT_METHODS;
+module.exports.isRetryable = isRetryable;
+module.exports.normalizeError = normalizeError;
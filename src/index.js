@@ -4,7 +4,28 @@
  */
 module.exports = function(RED) {
   "use strict";
+  const JSONPath = require("jsonpath-plus").JSONPath;
+  const queryString = require("query-string");
+  const Writable = require("stream").Writable;
   const KubeConfig = require("./config").KubeConfig;
+  const parseImpersonation = require("./config").parseImpersonation;
+  const checkAccess = require("./access").checkAccess;
+  const listRules = require("./access").listRules;
+  const LeaderElector = require("./election").LeaderElector;
+  const ObjectStore = require("./store").ObjectStore;
+  const classifyError = require("./reconnect").classifyError;
+  const normalizeError = require("./errors").normalizeError;
+  const ReconnectPolicy = require("./reconnect").ReconnectPolicy;
+  const rollout = require("./rollout");
+  const SharedWatch = require("./watches").SharedWatch;
+  const WatchConnection = require("./watches").WatchConnection;
+  const diff = require("./diff").diff;
+  const formatPrometheus = require("./metrics").formatPrometheus;
+  const RequestMetrics = require("./metrics").RequestMetrics;
+  const WatchMetrics = require("./metrics").WatchMetrics;
+  const parseManifest = require("./manifest").parseManifest;
+  const PortForwarder = require("./portforward").PortForwarder;
+  const sortManifest = require("./manifest").sortManifest;
 
   /**
    * https://nodered.org/docs/creating-nodes/status
@@ -20,26 +41,229 @@ module.exports = function(RED) {
     sending: { fill: "blue", shape: "dot", text: "sending" },
     receiving: { fill: "blue", shape: "dot", text: "receiving" },
     transfer: { fill: "blue", shape: "dot", text: "transfer" },
+    streaming: { fill: "green", shape: "dot", text: "streaming" },
+    stopped: { fill: "grey", shape: "ring", text: "stopped" },
+    leader: { fill: "green", shape: "ring", text: "leader" },
+    standby: { fill: "grey", shape: "ring", text: "standby" },
     blank: {}
   };
 
+  /**
+   * build impersonation settings from node options
+   *
+   * groups are comma separated, extra is a comma separated list of key=value
+   * pairs (repeat a key for multiple values)
+   *
+   * @param {*} options { impersonateUser, impersonateGroups, impersonateExtra }
+   */
+  function impersonationFromOptions(options) {
+    if (!options.impersonateUser) {
+      return null;
+    }
+
+    const extra = {};
+    (options.impersonateExtra || "").split(",").forEach(pair => {
+      const index = pair.indexOf("=");
+      if (index < 1) {
+        return;
+      }
+      const key = pair.substring(0, index).trim();
+      extra[key] = extra[key] || [];
+      extra[key].push(pair.substring(index + 1).trim());
+    });
+
+    return {
+      user: options.impersonateUser,
+      groups: options.impersonateGroups,
+      extra
+    };
+  }
+
   function KubernetesClientConfigNode(n) {
     RED.nodes.createNode(this, n);
-    this.options = {};
+    this.options = {
+      authMode: n.authMode || "kubeconfig",
+      kubeConfigPath: n.kubeConfigPath || "",
+      server: n.server || "",
+      tokenFile: n.tokenFile || "",
+      skipTLSVerify: n.skipTLSVerify === true,
+      context: n.context || "",
+      qps: parseFloat(n.qps) > 0 ? parseFloat(n.qps) : 0,
+      burst: parseInt(n.burst) > 0 ? parseInt(n.burst) : 0,
+      impersonateUser: n.impersonateUser || "",
+      impersonateGroups: n.impersonateGroups || "",
+      impersonateExtra: n.impersonateExtra || ""
+    };
     this.kc = new KubeConfig();
 
-    if (this.credentials.kubeConfig) {
-      this.kc.loadFromString(this.credentials.kubeConfig);
-    } else {
-      this.kc.loadFromDefault();
+    try {
+      switch (this.options.authMode) {
+        case "file":
+          this.kc.loadFromFile(this.options.kubeConfigPath);
+          break;
+        case "incluster":
+          this.kc.loadFromServiceAccount();
+          break;
+        case "token":
+          this.kc.loadFromToken({
+            server: this.options.server,
+            token: this.credentials.token,
+            tokenFile: this.options.tokenFile,
+            caData: this.credentials.caCert,
+            skipTLSVerify: this.options.skipTLSVerify
+          });
+          break;
+        case "kubeconfig":
+        default:
+          if (this.credentials.kubeConfig) {
+            this.kc.loadFromString(this.credentials.kubeConfig);
+          } else {
+            this.kc.loadFromDefault();
+          }
+          break;
+      }
+    } catch (err) {
+      this.error(`failed to load credentials: ${err.message}`);
+    }
+
+    if (this.options.context) {
+      if (this.kc.getContextObject(this.options.context)) {
+        this.kc.setCurrentContext(this.options.context);
+      } else {
+        this.error(`unknown context: ${this.options.context}`);
+      }
     }
 
+    // shared by every node using this config
+    this.kc.setRateLimit(this.options.qps, this.options.burst);
+    this.kc.setImpersonation(impersonationFromOptions(this.options));
+
+    /**
+     * object caches of informer mode watch nodes
+     * keyed by watch node id
+     */
+    this.stores = new Map();
+
+    this.registerStore = function(node, store) {
+      this.stores.set(node.id, { node, store });
+    };
+
+    this.unregisterStore = function(node) {
+      this.stores.delete(node.id);
+    };
+
+    /**
+     * retrieve the object cache of a watch node by id or name
+     *
+     * @param {*} key
+     */
+    this.getStore = function(key) {
+      if (this.stores.has(key)) {
+        return this.stores.get(key).store;
+      }
+
+      for (const entry of this.stores.values()) {
+        if (entry.node.name && entry.node.name == key) {
+          return entry.store;
+        }
+      }
+    };
+
+    /**
+     * watches shared by watch nodes
+     * keyed by endpoint (including selectors) and impersonation
+     */
+    this.watches = new Map();
+
+    /**
+     * subscribe to the shared watch of an endpoint, the watch is created by
+     * the first subscriber (whose options apply) and stopped when the last
+     * one unsubscribes
+     *
+     * returns { watch, unsubscribe }
+     *
+     * @param {*} endpoint
+     * @param {*} options see SharedWatch
+     * @param {*} subscriber see SharedWatch
+     */
+    this.subscribeWatch = function(endpoint, options, subscriber) {
+      const key = JSON.stringify([endpoint, options.impersonate || null]);
+      let watch = this.watches.get(key);
+      if (!watch) {
+        watch = new SharedWatch(this.kc, endpoint, options);
+        this.watches.set(key, watch);
+      }
+      watch.subscribe(subscriber);
+
+      return {
+        watch,
+        unsubscribe: () => {
+          if (!watch.subscribers.has(subscriber)) {
+            return;
+          }
+
+          watch.unsubscribe(subscriber);
+          if (watch.size == 0) {
+            watch.stop();
+            if (this.watches.get(key) === watch) {
+              this.watches.delete(key);
+            }
+          }
+        }
+      };
+    };
+
+    /**
+     * metrics of watch and http nodes using this config
+     * keyed by node id
+     */
+    this.metricsSources = new Map();
+
+    /**
+     * @param {*} node
+     * @param {*} type watch or request
+     * @param {*} snapshot function returning the current metrics of the node
+     */
+    this.registerMetrics = function(node, type, snapshot) {
+      this.metricsSources.set(node.id, { type, snapshot });
+    };
+
+    this.unregisterMetrics = function(node) {
+      this.metricsSources.delete(node.id);
+    };
+
+    this.getMetrics = function() {
+      const metrics = {
+        id: this.id,
+        name: this.name || "",
+        watches: [],
+        requests: []
+      };
+      this.metricsSources.forEach(source => {
+        if (source.type == "watch") {
+          metrics.watches.push(source.snapshot());
+        } else {
+          metrics.requests.push(source.snapshot());
+        }
+      });
+
+      return metrics;
+    };
+
     this.on("close", (removed, done) => {
       if (removed) {
         // This node has been deleted
       } else {
         // This node is being restarted
       }
+      this.watches.forEach(watch => {
+        watch.stop();
+      });
+      this.watches.clear();
+      this.kc.contextClients.forEach(client => {
+        client.discoveryCache.reset();
+      });
+      this.kc.contextClients.clear();
       this.kc.discoveryCache.reset();
       delete this.kc.discoveryCache;
       delete this.kc;
@@ -53,13 +277,106 @@ module.exports = function(RED) {
     KubernetesClientConfigNode,
     {
       credentials: {
-        kubeConfig: { type: "text" }
+        kubeConfig: { type: "text" },
+        token: { type: "password" },
+        caCert: { type: "text" }
+      }
+    }
+  );
+
+  /**
+   * contexts of a kubeconfig, used by the editor
+   *
+   * the kubeconfig text being edited is parsed if given, otherwise the one
+   * of the (deployed) config node is used, paths are never read on request
+   */
+  RED.httpAdmin.post(
+    "/kubernetes-client/contexts",
+    RED.auth.needsPermission("kubernetes-client-config.write"),
+    function(req, res) {
+      const body = req.body || {};
+      try {
+        let kc;
+        const configNode = body.id ? RED.nodes.getNode(body.id) : null;
+        if (typeof body.kubeConfig == "string" && body.kubeConfig) {
+          kc = new KubeConfig();
+          kc.loadFromString(body.kubeConfig);
+        } else if (
+          configNode &&
+          configNode.type == "kubernetes-client-config" &&
+          configNode.kc
+        ) {
+          kc = configNode.kc;
+        } else {
+          res.json([]);
+          return;
+        }
+
+        res.json(kc.getContextNames());
+      } catch (err) {
+        res.status(400).json({ message: err.message });
+      }
+    }
+  );
+
+  /**
+   * discovered resources of a (deployed) config node, used by the editor
+   *
+   * ?verb=watch limits the results to resources supporting the verb
+   */
+  RED.httpAdmin.get(
+    "/kubernetes-client/:id/resources",
+    RED.auth.needsPermission("kubernetes-client-config.read"),
+    async function(req, res) {
+      const configNode = RED.nodes.getNode(req.params.id);
+      if (!configNode || !configNode.kc) {
+        res.status(404).json({ message: "config node not deployed" });
+        return;
+      }
+
+      try {
+        let resources = await configNode.kc.listAPIResources();
+        if (req.query.verb) {
+          resources = resources.filter(resource => {
+            return resource.verbs.includes(req.query.verb);
+          });
+        }
+        res.json(resources);
+      } catch (err) {
+        res.status(500).json({ message: err.message });
+      }
+    }
+  );
+
+  /**
+   * metrics of the watch and http nodes of a (deployed) config node
+   *
+   * ?format=prometheus returns the prometheus text exposition format,
+   * otherwise json
+   */
+  RED.httpAdmin.get(
+    "/kubernetes-client/:id/metrics",
+    RED.auth.needsPermission("kubernetes-client-config.read"),
+    function(req, res) {
+      const configNode = RED.nodes.getNode(req.params.id);
+      if (!configNode || !configNode.getMetrics) {
+        res.status(404).json({ message: "config node not deployed" });
+        return;
+      }
+
+      const metrics = configNode.getMetrics();
+      if (req.query.format == "prometheus") {
+        res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+        res.send(formatPrometheus(metrics));
+        return;
       }
+
+      res.json(metrics);
     }
   );
 
   /**
-   * TODO: could have more intelligent reconnect strategy
+   * Watches a collection of resources (optionally as an informer cache)
    *
    * @param {*} n
    */
@@ -68,377 +385,2513 @@ module.exports = function(RED) {
 
     this.options = {
       endpoint: n.endpoint,
+      kind: n.kind || "",
+      apiVersion: n.apiVersion || "",
+      namespace: n.namespace || "",
+      labelSelector: n.labelSelector || "",
+      fieldSelector: n.fieldSelector || "",
       activityTimeout:
         parseInt(n.activityTimeout) >= 0 ? parseInt(n.activityTimeout) : 90,
       initialResourceVersionStrategy: n.initialResourceVersionStrategy || "",
-      goneResourceVersionStrategy: n.goneResourceVersionStrategy || ""
+      goneResourceVersionStrategy: n.goneResourceVersionStrategy || "",
+      reconnectInitialDelay:
+        parseFloat(n.reconnectInitialDelay) >= 0
+          ? parseFloat(n.reconnectInitialDelay)
+          : 1,
+      reconnectMaxDelay:
+        parseFloat(n.reconnectMaxDelay) >= 0
+          ? parseFloat(n.reconnectMaxDelay)
+          : 60,
+      reconnectMultiplier:
+        parseFloat(n.reconnectMultiplier) >= 1
+          ? parseFloat(n.reconnectMultiplier)
+          : 2,
+      reconnectJitter:
+        parseFloat(n.reconnectJitter) >= 0
+          ? parseFloat(n.reconnectJitter)
+          : 0.2,
+      reconnectMaxAttempts:
+        parseInt(n.reconnectMaxAttempts) >= 0
+          ? parseInt(n.reconnectMaxAttempts)
+          : 0,
+      autoStart: n.autoStart !== false,
+      mode: n.mode || "watch",
+      shared: n.shared === true,
+      replay: n.replay === true,
+      filterModified: n.filterModified === true,
+      emitBookmarks: n.emitBookmarks === true,
+      ignoredPaths:
+        n.ignoredPaths !== undefined
+          ? n.ignoredPaths
+          : "metadata.resourceVersion,metadata.managedFields,status.conditions[*].lastHeartbeatTime,spec.renewTime",
+      leaderElection: n.leaderElection === true,
+      leaseName: n.leaseName || `node-red-${n.id}`,
+      leaseNamespace: n.leaseNamespace || "default",
+      leaseDuration:
+        parseInt(n.leaseDuration) > 0 ? parseInt(n.leaseDuration) : 15,
+      renewDeadline:
+        parseInt(n.renewDeadline) > 0 ? parseInt(n.renewDeadline) : 10,
+      impersonateUser: n.impersonateUser || "",
+      impersonateGroups: n.impersonateGroups || "",
+      impersonateExtra: n.impersonateExtra || ""
+    };
+
+    const node = this;
+    node.lastMessageTimestamp = 0;
+    this.kubernetesClientConfig = n.kubernetesClientConfig;
+    this.kubernetesClientConfigNode = RED.nodes.getNode(
+      this.kubernetesClientConfig
+    );
+
+    const kc = this.kubernetesClientConfigNode.kc;
+
+    // overrides the impersonation of the config node
+    const impersonate = impersonationFromOptions(node.options);
+    let endpoint = node.options.endpoint || "";
+    let endpointHash = null;
+    let endpointResolved = false;
+    let endpointHashHasBeenSet = false;
+    let forcedResourceVersion = false;
+    // retries resolving the endpoint, the watch connection reconnects itself
+    const reconnectPolicy = new ReconnectPolicy({
+      initialDelay: node.options.reconnectInitialDelay,
+      maxDelay: node.options.reconnectMaxDelay,
+      multiplier: node.options.reconnectMultiplier,
+      jitter: node.options.reconnectJitter,
+      maxAttempts: node.options.reconnectMaxAttempts
+    });
+    let running = false;
+    // ignores the endpoint resolutions of earlier starts
+    let generation = 0;
+
+    // false while stopped by a command (the leader does not watch either)
+    let enabled = node.options.autoStart;
+
+    if (node.options.mode == "informer") {
+      node.store = new ObjectStore();
+      if (node.kubernetesClientConfigNode) {
+        node.kubernetesClientConfigNode.registerStore(node, node.store);
+      }
+    }
+
+    /**
+     * shared watch nodes report the metrics of the shared watch while
+     * subscribed
+     */
+    node.metrics = new WatchMetrics();
+    node.getMetrics = function() {
+      const metrics = node.subscription
+        ? node.subscription.watch.metrics
+        : node.metrics;
+      return Object.assign(
+        {
+          id: node.id,
+          name: node.name || "",
+          endpoint,
+          shared: node.options.shared,
+          running
+        },
+        metrics.toJSON()
+      );
+    };
+    node.kubernetesClientConfigNode.registerMetrics(
+      node,
+      "watch",
+      node.getMetrics
+    );
+
+    /**
+     * previous versions of objects used to compute diffs
+     * shares the informer store when available, shared watches provide them
+     */
+    if (node.options.filterModified && !node.options.shared) {
+      node.previousStore = node.store || new ObjectStore();
+    }
+
+    function setEndpoint(value) {
+      endpoint = value;
+      endpointHash = require("crypto")
+        .createHash("md5")
+        .update(`${node.kubernetesClientConfig}:${endpoint}`)
+        .digest("hex");
+    }
+
+    /**
+     * build the watch endpoint from the node settings
+     *
+     * kind/apiVersion/namespace are resolved via discovery, otherwise the raw
+     * endpoint is used, selectors are added to the query string of either
+     */
+    node.resolveEndpoint = async function() {
+      let path = node.options.endpoint;
+      if (node.options.kind) {
+        path = await kc.buildResourceListLink(
+          node.options.kind,
+          node.options.apiVersion,
+          node.options.namespace
+        );
+      }
+
+      const query = {};
+      if (node.options.labelSelector) {
+        query.labelSelector = node.options.labelSelector;
+      }
+
+      if (node.options.fieldSelector) {
+        query.fieldSelector = node.options.fieldSelector;
+      }
+
+      if (Object.keys(query).length > 0) {
+        path += (path.includes("?") ? "&" : "?") + queryString.stringify(query);
+      }
+
+      return path;
+    };
+
+    node.sendEvent = async function(type, object, kube = {}) {
+      node.status(statuses.transfer);
+      const msg = {};
+      msg.payload = { type, object };
+      msg.topic = (object.metadata && object.metadata.selfLink) || "";
+
+      /**
+       * try to add selfLink to involvedObject
+       */
+      if (
+        msg.payload.object.kind == "Event" &&
+        msg.payload.object.apiVersion == "v1"
+      ) {
+        try {
+          await kc.dressEventResource(msg.payload.object);
+        } catch (err) {}
+      }
+
+      msg.kube = Object.assign({}, kube);
+      msg.kube.config = {};
+      msg.kube.config.cluster = kc.getCurrentCluster();
+      msg.kube.config.context = kc.getCurrentContext();
+      msg.kube.config.user = kc.getCurrentUser();
+      msg.kube.client = kc;
+      node.send(msg);
+      node.status(statuses.connected);
+    };
+
+    /**
+     * the resourceVersion persisted by an earlier watch of the endpoint,
+     * undefined if the endpoint has changed since
+     */
+    function restoreResourceVersion() {
+      if (endpointHash == node.context().get("endpointHash")) {
+        return node.context().get("resourceVersion") || null;
+      }
+    }
+
+    function watchOptions() {
+      return {
+        impersonate,
+        activityTimeout: node.options.activityTimeout,
+        reconnectInitialDelay: node.options.reconnectInitialDelay,
+        reconnectMaxDelay: node.options.reconnectMaxDelay,
+        reconnectMultiplier: node.options.reconnectMultiplier,
+        reconnectJitter: node.options.reconnectJitter,
+        reconnectMaxAttempts: node.options.reconnectMaxAttempts,
+        initialResourceVersionStrategy:
+          node.options.initialResourceVersionStrategy,
+        goneResourceVersionStrategy: node.options.goneResourceVersionStrategy,
+        restore: restoreResourceVersion
+      };
+    }
+
+    /**
+     * relay an event
+     *
+     * @param {*} type
+     * @param {*} object
+     * @param {*} previous previous version of the object
+     */
+    node.processEvent = async function(type, object, previous) {
+      /**
+       * bookmarks only carry a resourceVersion (to resume from) and are
+       * not relayed unless requested
+       */
+      if (type == "BOOKMARK") {
+        if (node.options.emitBookmarks) {
+          await node.sendEvent(type, object);
+        } else {
+          node.status(statuses.connected);
+        }
+        return;
+      }
+
+      /**
+       * suppress MODIFIED events where only ignored paths have changed
+       */
+      const kube = {};
+      if (node.options.filterModified && type == "MODIFIED" && previous) {
+        kube.diff = diff(previous, object, node.options.ignoredPaths);
+        if (kube.diff.length < 1) {
+          return;
+        }
+      }
+
+      // the watch reconnects unless the failure is permanent
+      if (type == "ERROR") {
+        node.error(
+          `kubernetes watch (${
+            kc.getCurrentCluster().server
+          }${endpoint}) error - status: ${object.status}, message: ${
+            object.message
+          }, reason: ${object.reason}, code: ${object.code}`
+        );
+        const status = JSON.parse(JSON.stringify(statuses.error));
+        status.text = status.text + ": " + object.message;
+        node.status(status);
+
+        kube.error = normalizeError({
+          status: object,
+          request: {
+            method: "GET",
+            url: `${kc.getCurrentCluster().server}${endpoint}`
+          },
+          retryable: !classifyError({ statusCode: object.code }).permanent
+        });
+      }
+
+      await node.sendEvent(type, object, kube);
+    };
+
+    /**
+     * persist the resourceVersion (to restore from) and relay an event
+     *
+     * @param {*} type
+     * @param {*} object
+     * @param {*} previous
+     */
+    node.onWatchEvent = async function(type, object, previous) {
+      node.lastMessageTimestamp = Math.floor(Date.now() / 1000);
+
+      /**
+       * resourceVersions must be treated as opaque strings, events arrive
+       * in order so the most recent one is always the latest
+       */
+      if (
+        type != "ERROR" &&
+        object.metadata &&
+        object.metadata.resourceVersion
+      ) {
+        node.context().set("resourceVersion", object.metadata.resourceVersion);
+        if (endpointHashHasBeenSet === false) {
+          node.context().set("endpointHash", endpointHash);
+          endpointHashHasBeenSet = true;
+        }
+      }
+
+      if (type == "SYNCED") {
+        await node.sendEvent(type, object);
+        return;
+      }
+
+      // TODO: perhaps use object.metadata.creationTimestamp to filter out ADDED events on startup
+
+      await node.processEvent(type, object, previous);
+    };
+
+    node.onWatchStatus = function(state, text) {
+      const description = `${kc.getCurrentCluster().server}${endpoint}`;
+      switch (state) {
+        case "connecting":
+          node.status(statuses.connecting);
+          break;
+        case "connected":
+          node.status(statuses.connected);
+          break;
+        case "disconnected":
+          if (!text) {
+            node.status(statuses.disconnected);
+            break;
+          }
+          node.error(`kubernetes watch (${description}) error: ${text}`);
+        // falls through
+        case "error":
+        case "failed": {
+          const status = JSON.parse(JSON.stringify(statuses.error));
+          status.text = status.text + ": " + text;
+          node.status(status);
+          if (state == "failed") {
+            node.error(
+              `kubernetes watch (${description}) ${text}, not reconnecting`
+            );
+            node.stop();
+          }
+          break;
+        }
+        case "reconnecting":
+          node.status(Object.assign({}, statuses.connecting, { text }));
+          break;
+      }
+    };
+
+    node.onWatchLog = function(level, message) {
+      if (level == "error") {
+        node.error(message);
+      } else {
+        node.log(message);
+      }
+    };
+
+    /**
+     * subscribe to the shared watch of the endpoint
+     *
+     * informers always replay the current state to seed their store, the
+     * replay is compared with the previous contents of the store (as with a
+     * relist)
+     */
+    node.subscribe = function() {
+      if (!running || node.subscription) {
+        return;
+      }
+
+      let seed = node.store ? [] : null;
+
+      node.subscription = node.kubernetesClientConfigNode.subscribeWatch(
+        endpoint,
+        watchOptions(),
+        {
+          replay: node.options.replay || Boolean(node.store),
+          previous: node.options.filterModified,
+          onEvent: async (type, object, previous) => {
+            // the objects are shared with the other subscribers
+            object = RED.util.cloneMessage(object);
+
+            if (node.store) {
+              if (seed && type == "ADDED") {
+                seed.push(object);
+                return;
+              }
+
+              if (type == "SYNCED") {
+                const events = seed ? node.store.replace(seed) : [];
+                seed = null;
+                for (const event of events) {
+                  await node.sendEvent(event.type, event.object);
+                }
+                node.store.synced = true;
+              } else if (type != "ERROR" && type != "BOOKMARK") {
+                node.store.apply(type, object);
+              }
+
+              if (
+                type != "ERROR" &&
+                object.metadata &&
+                object.metadata.resourceVersion
+              ) {
+                node.store.resourceVersion = object.metadata.resourceVersion;
+              }
+            }
+
+            await node.onWatchEvent(type, object, previous);
+          },
+          onStatus: node.onWatchStatus,
+          onLog: node.onWatchLog
+        }
+      );
+    };
+
+    /**
+     * resolve the endpoint and connect
+     *
+     * shared watches are (re)connected by the config node, the others by
+     * their connection which is kept (to resume from its resourceVersion)
+     * until the endpoint changes
+     */
+    node.connect = async function() {
+      const current = generation;
+
+      if (!endpointResolved) {
+        node.status(statuses.connecting);
+        try {
+          // discovery does not wait for (async) authenticators
+          await kc.refreshCredentials();
+          setEndpoint(await node.resolveEndpoint());
+          endpointResolved = true;
+        } catch (err) {
+          if (current != generation) {
+            return;
+          }
+
+          node.error(err);
+          const status = JSON.parse(JSON.stringify(statuses.error));
+          status.text = status.text + ": " + err.message;
+
+          if (classifyError(err).permanent || reconnectPolicy.exhausted) {
+            node.stop();
+            node.status(status);
+            return;
+          }
+
+          node.status(status);
+          node.reconnectTimer = setTimeout(() => {
+            delete node.reconnectTimer;
+            node.connect();
+          }, reconnectPolicy.next());
+          return;
+        }
+
+        // stopped while resolving
+        if (current != generation) {
+          return;
+        }
+      }
+
+      if (node.options.shared) {
+        node.subscribe();
+        return;
+      }
+
+      if (!node.connection) {
+        node.connection = new WatchConnection(
+          kc,
+          endpoint,
+          Object.assign(watchOptions(), {
+            store: node.store || node.previousStore,
+            list: Boolean(node.store),
+            resourceVersion: forcedResourceVersion,
+            metrics: node.metrics
+          }),
+          {
+            onEvent: node.onWatchEvent,
+            onStatus: node.onWatchStatus,
+            onLog: node.onWatchLog
+          }
+        );
+        forcedResourceVersion = false;
+      }
+
+      node.connection.start();
+    };
+
+    /**
+     * start watching and (re)connecting
+     */
+    node.start = function() {
+      running = true;
+      reconnectPolicy.reset();
+      node.connect();
+    };
+
+    /**
+     * stop watching and (re)connecting
+     */
+    node.stop = function() {
+      running = false;
+      generation++;
+      if (node.subscription) {
+        node.subscription.unsubscribe();
+        delete node.subscription;
+      }
+
+      if (node.connection) {
+        node.connection.stop();
+      }
+
+      if (node.reconnectTimer) {
+        clearTimeout(node.reconnectTimer);
+        delete node.reconnectTimer;
+      }
+      reconnectPolicy.reset();
+
+      // events may be missed while stopped, list again when restarted
+      if (node.store) {
+        node.store.synced = false;
+      }
+    };
+
+    /**
+     * change the watched endpoint, settings not given are kept
+     *
+     * @param {*} settings { endpoint, kind, apiVersion, namespace, labelSelector, fieldSelector, resourceVersion }
+     */
+    node.setWatch = function(settings) {
+      [
+        "endpoint",
+        "kind",
+        "apiVersion",
+        "namespace",
+        "labelSelector",
+        "fieldSelector"
+      ].forEach(key => {
+        if (settings[key] !== undefined) {
+          node.options[key] = settings[key] || "";
+        }
+      });
+
+      endpointResolved = false;
+      endpointHashHasBeenSet = false;
+      node.connection = null;
+      forcedResourceVersion =
+        settings.resourceVersion !== undefined
+          ? settings.resourceVersion
+          : false;
+
+      // the objects of the previous endpoint do not apply
+      if (node.store) {
+        node.store.clear();
+      }
+      if (node.previousStore) {
+        node.previousStore.clear();
+      }
+    };
+
+    /**
+     * list again: informers relist (the differences are sent as events),
+     * shared watches list again for every subscriber and plain watches restart
+     * without a resourceVersion (the current objects are sent as ADDED events)
+     */
+    node.resync = function() {
+      if (node.subscription) {
+        node.subscription.watch.resync();
+        return;
+      }
+
+      if (node.connection) {
+        node.connection.resync();
+      }
+    };
+
+    /**
+     * reply to get/list commands from the informer cache
+     *
+     * msg.payload is set to (a copy of) the object, null if not cached, or
+     * the list of objects, optionally limited to a namespace
+     *
+     * @param {*} msg
+     * @param {*} command
+     * @param {*} payload { namespace, name }
+     */
+    node.lookup = function(msg, command, payload) {
+      if (!node.store) {
+        throw new Error(`${command} requires informer mode`);
+      }
+
+      if (command == "get") {
+        if (!payload.name) {
+          throw new Error("missing name");
+        }
+        const object = node.store.get(payload.namespace || "", payload.name);
+        msg.payload = object ? RED.util.cloneMessage(object) : null;
+      } else {
+        // the cached objects must not be modified by the flow
+        msg.payload = RED.util.cloneMessage(node.store.list(payload.namespace));
+      }
+
+      msg.kube = {};
+      msg.kube.store = {
+        synced: node.store.synced,
+        resourceVersion: node.store.resourceVersion,
+        count: node.store.size
+      };
+      msg.kube.config = {};
+      msg.kube.config.cluster = kc.getCurrentCluster();
+      msg.kube.config.context = kc.getCurrentContext();
+      msg.kube.config.user = kc.getCurrentUser();
+      msg.kube.client = kc;
+    };
+
+    /**
+     * msg.payload is a command or { command, ...settings } for set/get/list
+     */
+    node.on("input", function(msg, send, done) {
+      // support of 1.0+ and pre-1.0
+      send =
+        send ||
+        function() {
+          node.send.apply(node, arguments);
+        };
+
+      const payload =
+        msg.payload && typeof msg.payload == "object"
+          ? msg.payload
+          : { command: msg.payload };
+      const command = String(payload.command || "").toLowerCase();
+      const leader = !node.elector || node.elector.isLeader;
+
+      try {
+        if (
+          ["start", "restart"].includes(command) &&
+          !node.options.kind &&
+          !node.options.endpoint
+        ) {
+          throw new Error("missing endpoint or kind, use set first");
+        }
+
+        switch (command) {
+          case "start":
+            enabled = true;
+            if (leader && !running) {
+              node.start();
+            }
+            break;
+          case "stop":
+            enabled = false;
+            node.stop();
+            node.status(statuses.stopped);
+            break;
+          case "restart":
+            enabled = true;
+            node.stop();
+            if (leader) {
+              node.start();
+            }
+            break;
+          case "resync":
+            node.resync();
+            break;
+          case "set": {
+            const restart = running;
+            node.stop();
+            node.setWatch(payload);
+            if (restart) {
+              node.start();
+            }
+            break;
+          }
+          case "get":
+          case "list":
+            node.lookup(msg, command, payload);
+            send(msg);
+            break;
+          default:
+            throw new Error(`unknown command: ${payload.command}`);
+        }
+
+        if (done) {
+          done();
+        }
+      } catch (err) {
+        // Report back the error
+        if (done) {
+          // Use done if defined (1.0+)
+          done(err);
+        } else {
+          // Fallback to node.error (pre-1.0)
+          node.error(err, msg);
+        }
+      }
+    });
+
+    node.on("close", async (removed, done) => {
+      if (removed) {
+        // This node has been deleted
+      } else {
+        // This node is being restarted
+      }
+      node.stop();
+      node.kubernetesClientConfigNode.unregisterMetrics(node);
+
+      if (node.elector) {
+        node.elector.removeAllListeners("standby");
+        await node.elector.stop();
+      }
+
+      if (node.store) {
+        if (node.kubernetesClientConfigNode) {
+          node.kubernetesClientConfigNode.unregisterStore(node);
+        }
+        node.store.clear();
+      }
+
+      if (node.previousStore) {
+        node.previousStore.clear();
+      }
+
+      done();
+    });
+
+    if (node.kubernetesClientConfig) {
+      if (node.options.leaderElection) {
+        /**
+         * only the holder of the lease watches
+         */
+        node.status(statuses.standby);
+        node.elector = new LeaderElector(kc, {
+          name: node.options.leaseName,
+          namespace: node.options.leaseNamespace,
+          leaseDuration: node.options.leaseDuration,
+          renewDeadline: node.options.renewDeadline
+        });
+
+        node.elector.on("leader", () => {
+          node.log(
+            `acquired lease ${node.options.leaseNamespace}/${node.options.leaseName} as ${node.elector.identity}`
+          );
+          node.status(statuses.leader);
+          if (enabled) {
+            node.start();
+          }
+        });
+
+        node.elector.on("standby", () => {
+          node.log(
+            `standing by for lease ${node.options.leaseNamespace}/${node.options.leaseName} held by ${node.elector.holderIdentity}`
+          );
+          node.stop();
+          node.status(statuses.standby);
+        });
+
+        node.elector.on("error", err => {
+          node.error(`leader election error: ${err.message}`);
+        });
+
+        node.elector.start();
+      } else if (enabled) {
+        node.start();
+      } else {
+        node.status(statuses.stopped);
+      }
+    } else {
+      node.error("missing KubeConfig");
+      node.status(statuses.misconfigured);
+    }
+  }
+  RED.nodes.registerType("kubernetes-client-watch", KubernetesClientWatchNode);
+
+  /**
+   * @param {*} n
+   */
+  function KubernetesClientHttpNode(n) {
+    RED.nodes.createNode(this, n);
+
+    this.options = {
+      paginate: n.paginate || "",
+      fieldManager: n.fieldManager || "",
+      force: n.force === true,
+      dryRun: n.dryRun === true,
+      timeout: parseFloat(n.timeout) > 0 ? parseFloat(n.timeout) : 0,
+      retries: parseInt(n.retries) > 0 ? parseInt(n.retries) : 0,
+      errorHandling: n.errorHandling || ""
+    };
+
+    const node = this;
+    node.lastMessageTimestamp = 0;
+    this.kubernetesClientConfig = n.kubernetesClientConfig;
+    this.kubernetesClientConfigNode = RED.nodes.getNode(
+      this.kubernetesClientConfig
+    );
+
+    const kc = this.kubernetesClientConfigNode.kc;
+
+    node.metrics = new RequestMetrics();
+    node.getMetrics = function() {
+      return {
+        id: node.id,
+        name: node.name || "",
+        requests: node.metrics.toJSON()
+      };
+    };
+    node.kubernetesClientConfigNode.registerMetrics(
+      node,
+      "request",
+      node.getMetrics
+    );
+
+    /**
+     * Properties of the response include:
+     *
+     * statusCode
+     * body
+     * headers
+     * request
+     *
+     * @param {*} msg
+     * @param {*} res
+     * @param {*} client the client (context) used for the request
+     */
+    async function buildResponseMessage(msg, res, client = kc) {
+      const context = msg.kube && msg.kube.context;
+      const impersonate = msg.kube && msg.kube.impersonate;
+      const resource = msg.kube && msg.kube.resource;
+      msg.payload = res.body;
+
+      /**
+       * try to add selfLink to involvedObject
+       */
+      if (
+        msg.payload &&
+        ["Event", "EventList"].includes(msg.payload.kind) &&
+        msg.payload.apiVersion == "v1"
+      ) {
+        try {
+          switch (msg.payload.kind) {
+            case "Event":
+              await client.dressEventResource(msg.payload);
+
+              break;
+            case "EventList":
+              await Promise.all(
+                msg.payload.items.map(async element => {
+                  try {
+                    return client.dressEventResource(element);
+                  } catch (err) {}
+                })
+              );
+
+              break;
+          }
+        } catch (err) {}
+      }
+
+      msg.kube = {};
+      msg.kube.response = JSON.parse(JSON.stringify(res));
+      if (res.throttle) {
+        msg.kube.throttle = res.throttle;
+      }
+
+      /**
+       * server-side apply conflicts
+       * message format: conflict with "<manager>"[ using <apiVersion>]
+       */
+      if (
+        res.statusCode == 409 &&
+        msg.payload &&
+        msg.payload.details &&
+        Array.isArray(msg.payload.details.causes)
+      ) {
+        const conflicts = msg.payload.details.causes
+          .filter(cause => {
+            return cause.type == "FieldManagerConflict";
+          })
+          .map(cause => {
+            const match = (cause.message || "").match(
+              /conflict with "([^"]*)"(?: using (\S+))?/
+            );
+            return {
+              manager: match ? match[1] : null,
+              apiVersion: match && match[2] ? match[2] : null,
+              field: cause.field,
+              message: cause.message
+            };
+          });
+
+        if (conflicts.length > 0) {
+          msg.kube.conflicts = conflicts;
+        }
+      }
+
+      if (res.statusCode >= 400) {
+        msg.kube.error = normalizeError({ res, request: getRequest(msg, res) });
+      }
+      if (context) {
+        msg.kube.context = context;
+      }
+      if (impersonate) {
+        msg.kube.impersonate = impersonate;
+      }
+      if (resource) {
+        msg.kube.resource = resource;
+      }
+      msg.kube.config = {};
+      msg.kube.config.cluster = client.getCurrentCluster();
+      msg.kube.config.context = client.getCurrentContext();
+      msg.kube.config.user = client.getCurrentUser();
+      msg.kube.client = client;
+
+      return msg;
+    }
+
+    /**
+     * the request as sent (when known) for error details
+     *
+     * @param {*} msg
+     * @param {*} res
+     */
+    function getRequest(msg, res) {
+      const request = { method: (msg.method || "GET").toUpperCase() };
+      if (res && res.request && res.request.uri) {
+        request.url = res.request.uri.href;
+      } else if (typeof msg.topic == "string") {
+        request.url = msg.topic;
+      }
+
+      return request;
+    }
+
+    /**
+     * route a response according to the Error Handling setting
+     *
+     * "" - errors are sent on the only output
+     * "output" - errors (msg.kube.error) are sent on the second output
+     * "catch" - errors are not sent, the returned Error is passed to done
+     * to report them to catch nodes
+     *
+     * @param {*} msg
+     * @param {*} send
+     */
+    function sendResponse(msg, send) {
+      const error = msg.kube && msg.kube.error;
+      switch (node.options.errorHandling) {
+        case "output":
+          send(error ? [null, msg] : [msg, null]);
+          break;
+        case "catch":
+          if (error) {
+            const err = new Error(
+              error.message || `request failed with code ${error.statusCode}`
+            );
+            err.statusCode = error.statusCode;
+            return err;
+          }
+          send(msg);
+          break;
+        default:
+          send(msg);
+          break;
+      }
+    }
+
+    /**
+     * msg.paginate overrides the node setting
+     *
+     * true/"merge" - all pages merged into a single List
+     * "stream" - one message per page with msg.parts
+     * false/"" - single request
+     *
+     * @param {*} msg
+     */
+    function getPaginateMode(msg) {
+      let paginate = msg.hasOwnProperty("paginate")
+        ? msg.paginate
+        : node.options.paginate;
+
+      if (paginate === true) {
+        paginate = "merge";
+      }
+
+      if (!["merge", "stream"].includes(paginate)) {
+        return null;
+      }
+
+      if ((msg.method || "GET").toUpperCase() != "GET") {
+        return null;
+      }
+
+      return paginate;
+    }
+
+    if (node.kubernetesClientConfig) {
+      node.on("input", async function(msg, send, done) {
+        node.status(statuses.sending);
+
+        // support of 1.0+ and pre-1.0
+        send =
+          send ||
+          function() {
+            node.send.apply(node, arguments);
+          };
+
+        if (msg.fieldManager === undefined && node.options.fieldManager) {
+          msg.fieldManager = node.options.fieldManager;
+        }
+
+        if (msg.force === undefined && node.options.force) {
+          msg.force = true;
+        }
+
+        if (msg.dryRun === undefined && node.options.dryRun) {
+          msg.dryRun = true;
+        }
+
+        if (msg.timeout === undefined && node.options.timeout) {
+          msg.timeout = node.options.timeout;
+        }
+
+        if (msg.retries === undefined && node.options.retries) {
+          msg.retries = node.options.retries;
+        }
+
+        // paginated requests are observed as a whole
+        const method = (msg.method || "GET").toUpperCase();
+        const start = process.hrtime();
+        function observe(statusCode) {
+          const elapsed = process.hrtime(start);
+          node.metrics.observe(
+            method,
+            statusCode,
+            elapsed[0] + elapsed[1] / 1e9
+          );
+        }
+
+        try {
+          // msg.kube.context targets another context of the kubeconfig
+          const client = kc.forContext(msg.kube && msg.kube.context);
+          let res;
+          let failure;
+          switch (getPaginateMode(msg)) {
+            case "stream": {
+              const partsId = RED.util.generateId();
+              res = await client.makePaginatedHttpRestRequest(
+                msg,
+                async (page, index, last) => {
+                  const pageMsg = await buildResponseMessage(
+                    Object.assign({}, msg),
+                    page,
+                    client
+                  );
+                  pageMsg.parts = { id: partsId, index };
+                  if (last) {
+                    pageMsg.parts.count = index + 1;
+                  }
+                  const err = sendResponse(pageMsg, send);
+                  if (err) {
+                    // catch nodes receive the input msg
+                    msg.kube = pageMsg.kube;
+                    failure = err;
+                  }
+                }
+              );
+              break;
+            }
+            case "merge":
+              res = await client.makePaginatedHttpRestRequest(msg);
+              failure = sendResponse(
+                await buildResponseMessage(msg, res, client),
+                send
+              );
+              break;
+            default:
+              if (msg.dryRun && (msg.method || "GET").toUpperCase() != "GET") {
+                const result = await client.makeDryRunHttpRestRequest(msg);
+                res = result.res;
+                await buildResponseMessage(msg, res, client);
+                msg.kube.dryRun = true;
+                msg.kube.live = result.live;
+                msg.kube.diff = result.diff;
+                failure = sendResponse(msg, send);
+                break;
+              }
+
+              res = await client.makeHttpRestRequest(msg);
+              failure = sendResponse(
+                await buildResponseMessage(msg, res, client),
+                send
+              );
+              break;
+          }
+
+          observe(res.statusCode);
+          if (failure) {
+            const status = JSON.parse(JSON.stringify(statuses.error));
+            status.text = status.text + ": " + failure;
+            node.status(status);
+
+            // msg.kube.error is set for catch nodes
+            if (done) {
+              done(failure);
+            } else {
+              node.error(failure, msg);
+            }
+            return;
+          }
+
+          node.status(statuses.blank);
+          if (done) {
+            done();
+          }
+        } catch (err) {
+          // network failures, not invalid input
+          if (err.statusCode || err.code) {
+            observe(err.statusCode || "error");
+          }
+
+          const status = JSON.parse(JSON.stringify(statuses.error));
+          status.text = status.text + ": " + err;
+          node.status(status);
+
+          msg.kube = msg.kube || {};
+          msg.kube.error = normalizeError({
+            err,
+            request: getRequest(msg)
+          });
+
+          if (node.options.errorHandling == "output") {
+            send([null, msg]);
+            if (done) {
+              done();
+            }
+            return;
+          }
+
+          // Report back the error
+          if (done) {
+            // Use done if defined (1.0+)
+            done(err);
+          } else {
+            // Fallback to node.error (pre-1.0)
+            node.error(err, msg);
+          }
+        }
+      });
+
+      node.on("close", (removed, done) => {
+        node.kubernetesClientConfigNode.unregisterMetrics(node);
+        done();
+      });
+    } else {
+      node.error("missing KubeConfig");
+      node.status(statuses.misconfigured);
+    }
+  }
+  RED.nodes.registerType("kubernetes-client-http", KubernetesClientHttpNode);
+
+  /**
+   * Streams the log of a pod container, one message per line
+   *
+   * @param {*} n
+   */
+  function KubernetesClientLogsNode(n) {
+    RED.nodes.createNode(this, n);
+
+    this.options = {
+      namespace: n.namespace || "",
+      pod: n.pod || "",
+      container: n.container || "",
+      follow: n.follow !== false,
+      sinceSeconds: parseInt(n.sinceSeconds) > 0 ? parseInt(n.sinceSeconds) : 0,
+      tailLines: parseInt(n.tailLines) >= 0 ? parseInt(n.tailLines) : -1,
+      timestamps: n.timestamps === true,
+      previous: n.previous === true
+    };
+
+    const node = this;
+    this.kubernetesClientConfig = n.kubernetesClientConfig;
+    this.kubernetesClientConfigNode = RED.nodes.getNode(
+      this.kubernetesClientConfig
+    );
+
+    const kc = this.kubernetesClientConfigNode.kc;
+    const log = kc.createLog();
+    let generation = 0;
+
+    /**
+     * RFC3339 (nano) timestamp prefixed to lines when timestamps=true
+     *
+     * @param {*} line
+     */
+    function parseTimestamp(line) {
+      const match = line.match(
+        /^(\d{4}-\d{2}-\d{2}T[0-9:.]+(Z|[+-]\d{2}:\d{2})) (.*)$/
+      );
+      if (!match) {
+        return { line };
+      }
+
+      return {
+        line: match[3],
+        timestamp: match[1],
+        time: Date.parse(match[1])
+      };
+    }
+
+    node.stopLog = function() {
+      generation++;
+      if (node.logRequest) {
+        node.logRequest.abort();
+        delete node.logRequest;
+      }
+    };
+
+    node.startLog = async function(options) {
+      node.stopLog();
+
+      const currentGeneration = generation;
+      if (!options.namespace || !options.pod) {
+        node.error("missing namespace and/or pod");
+        node.status(statuses.misconfigured);
+        return;
+      }
+
+      const qs = {
+        follow: options.follow,
+        timestamps: options.timestamps,
+        previous: options.previous
+      };
+
+      if (options.sinceSeconds > 0) {
+        qs.sinceSeconds = options.sinceSeconds;
+      }
+
+      if (options.tailLines >= 0) {
+        qs.tailLines = options.tailLines;
+      }
+
+      let buffer = "";
+      const emitLine = line => {
+        if (currentGeneration != generation) {
+          return;
+        }
+        line = line.replace(/\r$/, "");
+        const parsed = options.timestamps ? parseTimestamp(line) : { line };
+        const msg = {};
+        msg.payload = parsed.line;
+        msg.topic = `${options.namespace}/${options.pod}${
+          options.container ? "/" + options.container : ""
+        }`;
+        msg.kube = {};
+        msg.kube.log = {
+          namespace: options.namespace,
+          pod: options.pod,
+          container: options.container || null
+        };
+        if (parsed.timestamp) {
+          msg.kube.log.timestamp = parsed.timestamp;
+          msg.kube.log.time = parsed.time;
+        }
+        msg.kube.config = {};
+        msg.kube.config.cluster = kc.getCurrentCluster();
+        msg.kube.config.context = kc.getCurrentContext();
+        msg.kube.config.user = kc.getCurrentUser();
+        msg.kube.client = kc;
+        node.send(msg);
+      };
+
+      const stream = new Writable({
+        write(chunk, encoding, callback) {
+          buffer += chunk.toString();
+          const lines = buffer.split("\n");
+          buffer = lines.pop();
+          lines.forEach(emitLine);
+          callback();
+        },
+        final(callback) {
+          if (buffer.length > 0) {
+            emitLine(buffer);
+            buffer = "";
+          }
+          callback();
+        }
+      });
+
+      node.log(
+        `streaming log of ${kc.getCurrentCluster().server} ${
+          options.namespace
+        }/${options.pod}`
+      );
+      node.status(statuses.connecting);
+
+      // Log.log applies the credentials without waiting for them
+      try {
+        await kc.refreshCredentials();
+      } catch (err) {
+        if (currentGeneration != generation) {
+          return;
+        }
+        node.error(
+          `kubernetes log (${options.namespace}/${options.pod}) error: ${err.message}`
+        );
+        const status = JSON.parse(JSON.stringify(statuses.error));
+        status.text = status.text + ": " + err.message;
+        node.status(status);
+        return;
+      }
+
+      if (currentGeneration != generation) {
+        return;
+      }
+
+      node.logRequest = log.log(
+        options.namespace,
+        options.pod,
+        options.container || undefined,
+        stream,
+        err => {
+          if (currentGeneration != generation) {
+            return;
+          }
+          delete node.logRequest;
+
+          if (err) {
+            let message = err.message || err;
+            try {
+              message = JSON.parse(err).message || message;
+            } catch (e) {}
+            node.error(
+              `kubernetes log (${options.namespace}/${options.pod}) error: ${message}`
+            );
+            const status = JSON.parse(JSON.stringify(statuses.error));
+            status.text = status.text + ": " + message;
+            node.status(status);
+          } else {
+            node.status(statuses.stopped);
+          }
+        },
+        qs
+      );
+
+      node.logRequest.on("response", response => {
+        if (response.statusCode == 200 && currentGeneration == generation) {
+          node.status(statuses.streaming);
+        }
+      });
+    };
+
+    if (node.kubernetesClientConfig) {
+      let currentOptions = Object.assign({}, node.options);
+
+      /**
+       * msg.payload may be a command (start/stop/restart) or an object of
+       * options (namespace, pod, container, etc) which (re)starts the stream
+       */
+      node.on("input", function(msg, send, done) {
+        if (typeof msg.payload == "object" && msg.payload !== null) {
+          currentOptions = Object.assign({}, node.options, msg.payload);
+          node.startLog(currentOptions);
+        } else {
+          switch (String(msg.payload).toLowerCase()) {
+            case "start":
+              if (!node.logRequest) {
+                node.startLog(currentOptions);
+              }
+              break;
+            case "restart":
+              node.startLog(currentOptions);
+              break;
+            case "stop":
+              node.stopLog();
+              node.status(statuses.stopped);
+              break;
+            default:
+              node.warn(`unknown command: ${msg.payload}`);
+              break;
+          }
+        }
+
+        if (done) {
+          done();
+        }
+      });
+
+      node.on("close", (removed, done) => {
+        node.stopLog();
+        done();
+      });
+
+      if (node.options.namespace && node.options.pod) {
+        node.startLog(currentOptions);
+      }
+    } else {
+      node.error("missing KubeConfig");
+      node.status(statuses.misconfigured);
+    }
+  }
+  RED.nodes.registerType("kubernetes-client-logs", KubernetesClientLogsNode);
+
+  /**
+   * Runs a command in a pod container
+   *
+   * @param {*} n
+   */
+  function KubernetesClientExecNode(n) {
+    RED.nodes.createNode(this, n);
+
+    this.options = {
+      namespace: n.namespace || "",
+      pod: n.pod || "",
+      container: n.container || "",
+      command: n.command || "",
+      stdin: n.stdin === true,
+      timeout: parseInt(n.timeout) >= 0 ? parseInt(n.timeout) : 30
+    };
+
+    const node = this;
+    this.kubernetesClientConfig = n.kubernetesClientConfig;
+    this.kubernetesClientConfigNode = RED.nodes.getNode(
+      this.kubernetesClientConfig
+    );
+
+    const kc = this.kubernetesClientConfigNode.kc;
+    let running = 0;
+
+    /**
+     * a JSON array of arguments or a whitespace separated string
+     *
+     * @param {*} command
+     */
+    function parseCommand(command) {
+      if (Array.isArray(command)) {
+        return command.map(String);
+      }
+
+      command = String(command || "").trim();
+      if (command.startsWith("[")) {
+        return JSON.parse(command).map(String);
+      }
+
+      return command.split(/\s+/).filter(part => {
+        return part.length > 0;
+      });
+    }
+
+    function getStdin(payload) {
+      if (typeof payload == "string" || Buffer.isBuffer(payload)) {
+        return payload;
+      }
+
+      if (typeof payload == "object" && payload !== null) {
+        return JSON.stringify(payload);
+      }
+    }
+
+    if (node.kubernetesClientConfig) {
+      node.on("input", async function(msg, send, done) {
+        // support of 1.0+ and pre-1.0
+        send =
+          send ||
+          function() {
+            node.send.apply(node, arguments);
+          };
+
+        const options = Object.assign(
+          {},
+          node.options,
+          msg.kube && msg.kube.exec ? msg.kube.exec : {}
+        );
+
+        running++;
+        node.status(
+          Object.assign({}, statuses.sending, { text: `running: ${running}` })
+        );
+
+        try {
+          const command = parseCommand(options.command);
+          if (!options.namespace || !options.pod || command.length < 1) {
+            throw new Error("missing namespace, pod and/or command");
+          }
+
+          const timeout = parseInt(options.timeout) || 0;
+          const result = await kc.execCommand(
+            options.namespace,
+            options.pod,
+            options.container,
+            command,
+            options.stdin ? getStdin(msg.payload) : undefined,
+            timeout * 1000
+          );
+
+          msg.payload = result;
+          msg.kube = {};
+          msg.kube.exec = {
+            namespace: options.namespace,
+            pod: options.pod,
+            container: options.container || null,
+            command
+          };
+          msg.kube.config = {};
+          msg.kube.config.cluster = kc.getCurrentCluster();
+          msg.kube.config.context = kc.getCurrentContext();
+          msg.kube.config.user = kc.getCurrentUser();
+          msg.kube.client = kc;
+
+          // msg.payload keeps the output received so far for catch nodes
+          if (result.timedOut) {
+            throw new Error(`exec timed out after ${timeout}s`);
+          }
+
+          send(msg);
+
+          running--;
+          node.status(
+            running > 0
+              ? Object.assign({}, statuses.sending, {
+                  text: `running: ${running}`
+                })
+              : statuses.blank
+          );
+          if (done) {
+            done();
+          }
+        } catch (err) {
+          running--;
+          const status = JSON.parse(JSON.stringify(statuses.error));
+          status.text = status.text + ": " + err.message;
+          node.status(status);
+
+          // Report back the error
+          if (done) {
+            // Use done if defined (1.0+)
+            done(err);
+          } else {
+            // Fallback to node.error (pre-1.0)
+            node.error(err, msg);
+          }
+        }
+      });
+    } else {
+      node.error("missing KubeConfig");
+      node.status(statuses.misconfigured);
+    }
+  }
+  RED.nodes.registerType("kubernetes-client-exec", KubernetesClientExecNode);
+
+  /**
+   * Applies or deletes all objects of a (multi-document) manifest
+   *
+   * @param {*} n
+   */
+  function KubernetesClientManifestNode(n) {
+    RED.nodes.createNode(this, n);
+
+    this.options = {
+      action: n.action || "apply",
+      namespace: n.namespace || "default",
+      fieldManager: n.fieldManager || "",
+      force: n.force === true,
+      propagationPolicy: n.propagationPolicy || "Background"
+    };
+
+    const node = this;
+    this.kubernetesClientConfig = n.kubernetesClientConfig;
+    this.kubernetesClientConfigNode = RED.nodes.getNode(
+      this.kubernetesClientConfig
+    );
+
+    const kc = this.kubernetesClientConfigNode.kc;
+    const discoveryRetries = 5;
+
+    function sleep(ms) {
+      return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * kinds of CRDs applied earlier in the same manifest may not be
+     * discoverable immediately, retry with a fresh discovery cache
+     *
+     * @param {*} object
+     * @param {*} retry
+     */
+    async function getDefinition(object, retry) {
+      for (let attempt = 0; ; attempt++) {
+        let definition;
+        let error;
+        try {
+          definition = await kc.getAPIResource(object.kind, object.apiVersion);
+        } catch (err) {
+          error = err;
+        }
+
+        if (definition) {
+          return definition;
+        }
+
+        if (!retry || attempt >= discoveryRetries) {
+          throw error ||
+            new Error(
+              `failure to lookup resource ${object.apiVersion}/${object.kind}`
+            );
+        }
+
+        kc.discoveryCache.reset();
+        await sleep(1000);
+      }
+    }
+
+    if (node.kubernetesClientConfig) {
+      node.on("input", async function(msg, send, done) {
+        node.status(statuses.sending);
+
+        // support of 1.0+ and pre-1.0
+        send =
+          send ||
+          function() {
+            node.send.apply(node, arguments);
+          };
+
+        const action = (msg.action || node.options.action).toLowerCase();
+        const fieldManager = msg.fieldManager || node.options.fieldManager;
+        const force =
+          msg.force !== undefined ? msg.force === true : node.options.force;
+
+        try {
+          if (!["apply", "delete"].includes(action)) {
+            throw new Error(`unknown action: ${action}`);
+          }
+
+          const objects = sortManifest(
+            parseManifest(msg.payload),
+            action == "delete"
+          );
+
+          const results = [];
+          let crdApplied = false;
+          for (const object of objects) {
+            object.metadata = object.metadata || {};
+            const result = {
+              apiVersion: object.apiVersion,
+              kind: object.kind,
+              namespace: object.metadata.namespace || null,
+              name: object.metadata.name,
+              result: null,
+              statusCode: null,
+              message: null
+            };
+            results.push(result);
+
+            try {
+              const definition = await getDefinition(object, crdApplied);
+              if (definition.resource.namespaced) {
+                object.metadata.namespace =
+                  object.metadata.namespace || node.options.namespace;
+                result.namespace = object.metadata.namespace;
+              }
+
+              const endpoint = await kc.buildResourceSelfLink(object);
+              let res;
+              switch (action) {
+                case "apply":
+                  res = await kc.makeHttpRestRequest({
+                    method: "APPLY",
+                    topic: endpoint,
+                    payload: object,
+                    fieldManager,
+                    force
+                  });
+                  break;
+                case "delete":
+                  res = await kc.makeHttpRestRequest({
+                    method: "DELETE",
+                    topic: endpoint,
+                    payload: {
+                      kind: "DeleteOptions",
+                      apiVersion: "v1",
+                      propagationPolicy: node.options.propagationPolicy
+                    }
+                  });
+                  break;
+              }
+
+              result.statusCode = res.statusCode;
+              if (res.statusCode == 201) {
+                result.result = "created";
+              } else if (res.statusCode == 200 && action == "apply") {
+                result.result = "configured";
+              } else if ([200, 202].includes(res.statusCode)) {
+                result.result = "deleted";
+              } else if (res.statusCode == 404 && action == "delete") {
+                result.result = "notfound";
+              } else {
+                result.result = "failed";
+                result.message = res.body ? res.body.message : null;
+              }
+
+              if (
+                object.kind == "CustomResourceDefinition" &&
+                ["created", "configured"].includes(result.result)
+              ) {
+                crdApplied = true;
+                kc.discoveryCache.reset();
+              }
+            } catch (err) {
+              result.result = "failed";
+              result.message = err.message;
+            }
+          }
+
+          const summary = {};
+          results.forEach(result => {
+            summary[result.result] = (summary[result.result] || 0) + 1;
+          });
+
+          msg.payload = results;
+          msg.kube = {};
+          msg.kube.summary = summary;
+          msg.kube.config = {};
+          msg.kube.config.cluster = kc.getCurrentCluster();
+          msg.kube.config.context = kc.getCurrentContext();
+          msg.kube.config.user = kc.getCurrentUser();
+          msg.kube.client = kc;
+          send(msg);
+
+          const text = Object.keys(summary)
+            .map(key => {
+              return `${key}: ${summary[key]}`;
+            })
+            .join(", ");
+          if (summary.failed) {
+            node.status({ fill: "yellow", shape: "dot", text });
+          } else {
+            node.status({ fill: "green", shape: "dot", text });
+          }
+          if (done) {
+            done();
+          }
+        } catch (err) {
+          const status = JSON.parse(JSON.stringify(statuses.error));
+          status.text = status.text + ": " + err.message;
+          node.status(status);
+
+          // Report back the error
+          if (done) {
+            // Use done if defined (1.0+)
+            done(err);
+          } else {
+            // Fallback to node.error (pre-1.0)
+            node.error(err, msg);
+          }
+        }
+      });
+    } else {
+      node.error("missing KubeConfig");
+      node.status(statuses.misconfigured);
+    }
+  }
+  RED.nodes.registerType(
+    "kubernetes-client-manifest",
+    KubernetesClientManifestNode
+  );
+
+  /**
+   * Waits until an object satisfies a condition or a timeout expires
+   *
+   * @param {*} n
+   */
+  function KubernetesClientWaitNode(n) {
+    RED.nodes.createNode(this, n);
+
+    this.options = {
+      kind: n.kind || "",
+      apiVersion: n.apiVersion || "",
+      namespace: n.namespace || "",
+      objectName: n.objectName || "",
+      condition: n.condition || "condition",
+      conditionType: n.conditionType || "Ready",
+      conditionStatus: n.conditionStatus || "True",
+      jsonPath: n.jsonPath || "",
+      jsonPathValue: n.jsonPathValue !== undefined ? n.jsonPathValue : "",
+      timeout: parseInt(n.timeout) > 0 ? parseInt(n.timeout) : 300
+    };
+
+    const node = this;
+    this.kubernetesClientConfig = n.kubernetesClientConfig;
+    this.kubernetesClientConfigNode = RED.nodes.getNode(
+      this.kubernetesClientConfig
+    );
+
+    const kc = this.kubernetesClientConfigNode.kc;
+    const waits = new Set();
+
+    function updateStatus() {
+      if (waits.size > 0) {
+        node.status(
+          Object.assign({}, statuses.receiving, {
+            text: `waiting: ${waits.size}`
+          })
+        );
+      } else {
+        node.status(statuses.blank);
+      }
+    }
+
+    /**
+     * the node settings take precedence, otherwise msg.payload (an object)
+     * or msg.topic (a selfLink or object) identify the object
+     *
+     * @param {*} msg
+     */
+    function getReference(msg) {
+      if (node.options.kind && node.options.objectName) {
+        return {
+          kind: node.options.kind,
+          apiVersion: node.options.apiVersion,
+          metadata: {
+            name: node.options.objectName,
+            namespace: node.options.namespace || null
+          }
+        };
+      }
+
+      if (
+        msg.payload &&
+        typeof msg.payload == "object" &&
+        msg.payload.kind &&
+        msg.payload.metadata
+      ) {
+        return msg.payload;
+      }
+
+      if (msg.topic) {
+        return msg.topic;
+      }
+
+      throw new Error("missing object reference");
+    }
+
+    /**
+     * {.status.phase} (kubectl style) or $.status.phase
+     *
+     * @param {*} object
+     */
+    function matchesJsonPath(object) {
+      let path = node.options.jsonPath.trim().replace(/^\{(.*)\}$/, "$1");
+      if (!path.startsWith("$")) {
+        path =
+          "$" +
+          (path.startsWith(".") || path.startsWith("[") ? "" : ".") +
+          path;
+      }
+
+      const values = JSONPath({ path, json: object, wrap: true }) || [];
+      return values.some(value => {
+        const string =
+          typeof value == "object" ? JSON.stringify(value) : String(value);
+        return string == String(node.options.jsonPathValue);
+      });
+    }
+
+    function isSatisfied(object) {
+      switch (node.options.condition) {
+        case "deleted":
+          return object === null;
+        case "jsonpath":
+          return object !== null && matchesJsonPath(object);
+        case "condition":
+        default:
+          return (
+            object !== null &&
+            object.status &&
+            Array.isArray(object.status.conditions) &&
+            object.status.conditions.some(condition => {
+              return (
+                condition.type == node.options.conditionType &&
+                String(condition.status) == node.options.conditionStatus
+              );
+            })
+          );
+      }
+    }
+
+    if (node.kubernetesClientConfig) {
+      node.on("input", async function(msg, send, done) {
+        // support of 1.0+ and pre-1.0
+        send =
+          send ||
+          function() {
+            node.send.apply(node, arguments);
+          };
+
+        const started = Date.now();
+        const wait = { finished: false, handle: null, timer: null, done };
+        let current = null;
+
+        function finish(satisfied) {
+          if (wait.finished) {
+            return;
+          }
+          wait.finished = true;
+          clearTimeout(wait.timer);
+          if (wait.handle) {
+            wait.handle.stop();
+          }
+          waits.delete(wait);
+          updateStatus();
+
+          msg.payload = current;
+          msg.kube = {};
+          msg.kube.wait = {
+            condition: node.options.condition,
+            satisfied,
+            elapsed: Date.now() - started
+          };
+          msg.kube.config = {};
+          msg.kube.config.cluster = kc.getCurrentCluster();
+          msg.kube.config.context = kc.getCurrentContext();
+          msg.kube.config.user = kc.getCurrentUser();
+          msg.kube.client = kc;
+          send(satisfied ? [msg, null] : [null, msg]);
+          if (done) {
+            done();
+          }
+        }
+
+        function fail(err) {
+          // already completed by close
+          if (wait.finished) {
+            return;
+          }
+          wait.finished = true;
+          clearTimeout(wait.timer);
+          if (wait.handle) {
+            wait.handle.stop();
+          }
+          waits.delete(wait);
+          const status = JSON.parse(JSON.stringify(statuses.error));
+          status.text = status.text + ": " + err.message;
+          node.status(status);
+
+          // Report back the error
+          if (done) {
+            // Use done if defined (1.0+)
+            done(err);
+          } else {
+            // Fallback to node.error (pre-1.0)
+            node.error(err, msg);
+          }
+        }
+
+        waits.add(wait);
+        updateStatus();
+
+        wait.timer = setTimeout(() => {
+          finish(false);
+        }, node.options.timeout * 1000);
+
+        try {
+          wait.handle = await kc.watchObject(
+            getReference(msg),
+            (type, object) => {
+              // keep the last known state of deleted objects
+              current = object;
+              if (type == "DELETED") {
+                if (node.options.condition == "deleted") {
+                  finish(true);
+                }
+                return;
+              }
+
+              if (isSatisfied(current)) {
+                finish(true);
+              }
+            },
+            fail
+          );
+
+          if (wait.finished) {
+            wait.handle.stop();
+          }
+        } catch (err) {
+          fail(err);
+        }
+      });
+
+      node.on("close", (removed, done) => {
+        waits.forEach(wait => {
+          wait.finished = true;
+          clearTimeout(wait.timer);
+          if (wait.handle) {
+            wait.handle.stop();
+          }
+          if (wait.done) {
+            wait.done(new Error("node closed"));
+          }
+        });
+        waits.clear();
+        done();
+      });
+    } else {
+      node.error("missing KubeConfig");
+      node.status(statuses.misconfigured);
+    }
+  }
+  RED.nodes.registerType("kubernetes-client-wait", KubernetesClientWaitNode);
+
+  /**
+   * Leader election node
+   * emits a message whenever leadership of the lease is acquired or lost
+   */
+  function KubernetesClientElectionNode(n) {
+    RED.nodes.createNode(this, n);
+
+    this.options = {
+      leaseName: n.leaseName || `node-red-${n.id}`,
+      leaseNamespace: n.leaseNamespace || "default",
+      leaseDuration:
+        parseInt(n.leaseDuration) > 0 ? parseInt(n.leaseDuration) : 15,
+      renewDeadline:
+        parseInt(n.renewDeadline) > 0 ? parseInt(n.renewDeadline) : 10
     };
 
     const node = this;
-    node.lastMessageTimestamp = 0;
     this.kubernetesClientConfig = n.kubernetesClientConfig;
     this.kubernetesClientConfigNode = RED.nodes.getNode(
       this.kubernetesClientConfig
     );
 
-    const kc = this.kubernetesClientConfigNode.kc;
-    const watch = kc.createWatch();
-    const endpoint = node.options.endpoint;
-    const endpointHash = require("crypto")
-      .createHash("md5")
-      .update(`${node.kubernetesClientConfig}:${endpoint}`)
-      .digest("hex");
-    let endpointHashHasBeenSet = false;
-    let connecting = false;
-    let resourceVersion = false;
-    let latestResourceVersion = null;
-    let forcedResourceVersion = false;
-    let triggerWatchViaShortInterval = false;
-    let shortIntervalSeconds = 10;
+    if (node.kubernetesClientConfig) {
+      const kc = this.kubernetesClientConfigNode.kc;
 
-    node.startWatch = async function() {
-      if (node.watch) {
-        node.watch.abort();
-        node.watch.destroy();
-        delete node.watch;
-      }
+      node.status(statuses.standby);
+      node.elector = new LeaderElector(kc, {
+        name: node.options.leaseName,
+        namespace: node.options.leaseNamespace,
+        leaseDuration: node.options.leaseDuration,
+        renewDeadline: node.options.renewDeadline
+      });
 
-      if (connecting == true) {
-        return;
+      function sendTransition(leader) {
+        const msg = {};
+        msg.topic = leader ? "leader" : "standby";
+        msg.payload = {
+          leader,
+          identity: node.elector.identity,
+          holderIdentity: node.elector.holderIdentity,
+          lease: {
+            name: node.options.leaseName,
+            namespace: node.options.leaseNamespace
+          }
+        };
+        msg.kube = {};
+        msg.kube.config = {};
+        msg.kube.config.cluster = kc.getCurrentCluster();
+        msg.kube.config.context = kc.getCurrentContext();
+        msg.kube.config.user = kc.getCurrentUser();
+        msg.kube.client = kc;
+        node.send(msg);
       }
 
-      node.status(statuses.connecting);
-      connecting = true;
+      node.elector.on("leader", () => {
+        node.status(statuses.leader);
+        sendTransition(true);
+      });
 
-      /**
-       * https://kubernetes.io/docs/reference/using-api/api-concepts/#resource-versions
-       * 0 vs null have special meaning with watches, carefully choose
-       */
-      if (forcedResourceVersion !== false) {
-        resourceVersion = forcedResourceVersion;
-        forcedResourceVersion = false;
-      } else if (latestResourceVersion) {
-        resourceVersion = latestResourceVersion;
-      } else if (resourceVersion !== false) {
-        resourceVersion = resourceVersion;
-      } else {
-        switch (node.options.initialResourceVersionStrategy) {
-          case "CURRENT":
-            try {
-              const res = await kc.makeHttpRestRequest({
-                topic: endpoint,
-                payload: { limit: 1 }
-              });
+      node.elector.on("standby", () => {
+        node.status(statuses.standby);
+        sendTransition(false);
+      });
 
-              if (res.statusCode == 200) {
-                resourceVersion = res.body.metadata.resourceVersion;
-              } else {
-                resourceVersion = null;
-              }
-            } catch (err) {
-              node.error(err);
-              resourceVersion = null;
-            }
+      node.elector.on("error", err => {
+        const status = JSON.parse(JSON.stringify(statuses.error));
+        status.text = status.text + ": " + err.message;
+        node.status(status);
+        node.error(`leader election error: ${err.message}`);
+      });
 
-            break;
-          case "NULL":
-            resourceVersion = null;
-            break;
-          case "ZERO":
-            resourceVersion = 0;
-            break;
-          case "RESTORE-NULL":
-            if (endpointHash == node.context().get("endpointHash")) {
-              resourceVersion = node.context().get("resourceVersion") || null;
-            } else {
-              resourceVersion = null;
-            }
-            break;
-          case "RESTORE-ZERO":
-            if (endpointHash == node.context().get("endpointHash")) {
-              resourceVersion = node.context().get("resourceVersion") || null;
-            } else {
-              resourceVersion = 0;
-            }
-            break;
-          case "RESTORE-CURRENT":
-          default:
-            if (endpointHash == node.context().get("endpointHash")) {
-              resourceVersion = node.context().get("resourceVersion") || null;
-            } else {
-              try {
-                const res = await kc.makeHttpRestRequest({
-                  topic: endpoint,
-                  payload: { limit: 1 }
-                });
+      node.elector.start();
 
-                if (res.statusCode == 200) {
-                  resourceVersion = res.body.metadata.resourceVersion;
-                } else {
-                  resourceVersion = null;
-                }
-              } catch (err) {
-                node.error(err);
-                resourceVersion = null;
-              }
-            }
-            break;
-        }
-      }
+      node.on("close", async (removed, done) => {
+        node.elector.removeAllListeners("standby");
+        await node.elector.stop();
+        done();
+      });
+    } else {
+      node.error("missing KubeConfig");
+      node.status(statuses.misconfigured);
+    }
+  }
+  RED.nodes.registerType(
+    "kubernetes-client-election",
+    KubernetesClientElectionNode
+  );
 
-      // final sanity check
-      if (resourceVersion !== null && !(resourceVersion >= 0)) {
-        resourceVersion = null;
-      }
+  /**
+   * RBAC access check node
+   * asks the API server whether an action is allowed (or lists the rules of
+   * the current credentials)
+   */
+  function KubernetesClientAccessNode(n) {
+    RED.nodes.createNode(this, n);
 
-      node.log(
-        `watching ${
-          kc.getCurrentCluster().server
-        }${endpoint} from resourceVersion: ${resourceVersion}`
-      );
+    this.options = {
+      mode: n.mode || "check",
+      verb: n.verb || "",
+      kind: n.kind || "",
+      apiVersion: n.apiVersion || "",
+      namespace: n.namespace || "",
+      objectName: n.objectName || "",
+      subresource: n.subresource || "",
+      user: n.user || "",
+      groups: n.groups || ""
+    };
 
-      node.watch = await watch.watch(
-        endpoint,
-        { resourceVersion },
-        async (type, object) => {
-          if (type === undefined || object === undefined) {
-            return;
-          }
+    const node = this;
+    this.kubernetesClientConfig = n.kubernetesClientConfig;
+    this.kubernetesClientConfigNode = RED.nodes.getNode(
+      this.kubernetesClientConfig
+    );
 
-          node.lastMessageTimestamp = Math.floor(Date.now() / 1000);
+    /**
+     * the node settings are the defaults, properties of msg.payload (an
+     * object) take precedence
+     *
+     * @param {*} msg
+     */
+    function getSpec(msg) {
+      const payload =
+        msg.payload && typeof msg.payload == "object" ? msg.payload : {};
 
-          if (type == "ERROR") {
-            node.error(
-              `kubernetes watch (${
-                kc.getCurrentCluster().server
-              }${endpoint}) error - status: ${object.status}, message: ${
-                object.message
-              }, reason: ${object.reason}, code: ${object.code}`
-            );
-            const status = JSON.parse(JSON.stringify(statuses.error));
-            status.text = status.text + ": " + object.message;
-            node.status(status);
+      function value(property, option) {
+        return payload[property] !== undefined && payload[property] !== null
+          ? payload[property]
+          : node.options[option || property];
+      }
 
-            if (
-              object.code == 410 &&
-              ["Gone", "Expired"].includes(object.reason)
-            ) {
-              forcedResourceVersion = null;
-              switch (node.options.goneResourceVersionStrategy) {
-                case "ZERO":
-                  forcedResourceVersion = 0;
-                  break;
-                case "NULL":
-                  forcedResourceVersion = null;
-                  break;
-                case "CURRENT":
-                default:
-                  try {
-                    const res = await kc.makeHttpRestRequest({
-                      topic: endpoint,
-                      payload: { limit: 1 }
-                    });
+      let groups = value("groups");
+      if (!Array.isArray(groups)) {
+        groups = String(groups || "")
+          .split(",")
+          .map(group => {
+            return group.trim();
+          })
+          .filter(group => {
+            return group.length > 0;
+          });
+      }
 
-                    if (res.statusCode == 200) {
-                      forcedResourceVersion = res.body.metadata.resourceVersion;
-                    }
-                  } catch (err) {
-                    node.error(err);
-                  }
-                  break;
-              }
-            }
-          }
+      // a resource of the message replaces the kind of the node settings
+      const byResource = Boolean(payload.resource);
 
-          if (
-            object.metadata.resourceVersion &&
-            object.metadata.resourceVersion > Number(latestResourceVersion)
-          ) {
-            latestResourceVersion = object.metadata.resourceVersion;
-            node.context().set("resourceVersion", latestResourceVersion);
-            if (endpointHashHasBeenSet === false) {
-              node.context().set("endpointHash", endpointHash);
-              endpointHashHasBeenSet = true;
-            }
-          }
+      return {
+        verb: value("verb"),
+        kind: byResource ? payload.kind : value("kind"),
+        apiVersion: byResource ? payload.apiVersion : value("apiVersion"),
+        resource: payload.resource,
+        group: payload.group,
+        namespace: value("namespace"),
+        name: value("name", "objectName"),
+        subresource: value("subresource"),
+        user: value("user"),
+        uid: payload.uid,
+        extra: payload.extra,
+        groups
+      };
+    }
 
-          // TODO: perhaps use object.metadata.creationTimestamp to filter out ADDED events on startup
+    if (node.kubernetesClientConfig) {
+      const kc = this.kubernetesClientConfigNode.kc;
 
-          node.status(statuses.transfer);
-          const msg = {};
-          msg.payload = { type, object };
-          msg.topic = object.metadata.selfLink || "";
+      node.on("input", async function(msg, send, done) {
+        // support of 1.0+ and pre-1.0
+        send =
+          send ||
+          function() {
+            node.send.apply(node, arguments);
+          };
 
-          /**
-           * try to add selfLink to involvedObject
-           */
-          if (
-            msg.payload.object.kind == "Event" &&
-            msg.payload.object.apiVersion == "v1"
-          ) {
-            try {
-              await kc.dressEventResource(msg.payload.object);
-            } catch (err) {}
+        try {
+          const spec = getSpec(msg);
+          const kube = { impersonate: msg.kube && msg.kube.impersonate };
+          // reject impersonation without a user before any request
+          parseImpersonation(kube.impersonate);
+          let allowed = true;
+
+          if (node.options.mode == "rules") {
+            msg.payload = await listRules(kc, spec.namespace, kube);
+            node.status(statuses.blank);
+          } else {
+            msg.payload = await checkAccess(kc, spec, kube);
+            allowed = msg.payload.allowed;
+            node.status({
+              fill: allowed ? "green" : "red",
+              shape: "dot",
+              text: `${spec.verb} ${msg.payload.resourceAttributes.resource}: ${
+                allowed ? "allowed" : "denied"
+              }`
+            });
           }
 
+          const impersonate = kube.impersonate;
           msg.kube = {};
+          if (impersonate) {
+            msg.kube.impersonate = impersonate;
+          }
           msg.kube.config = {};
           msg.kube.config.cluster = kc.getCurrentCluster();
           msg.kube.config.context = kc.getCurrentContext();
           msg.kube.config.user = kc.getCurrentUser();
           msg.kube.client = kc;
-          node.send(msg);
-          node.status(statuses.connected);
-        },
-        err => {
-          connecting = false;
-          node.status(statuses.disconnected);
-          triggerWatchViaShortInterval = true;
-          if (err) {
-            node.error(
-              `kubernetes watch (${
-                kc.getCurrentCluster().server
-              }${endpoint}) error: ${err}`
-            );
-            const status = JSON.parse(JSON.stringify(statuses.error));
-            status.text = status.text + ": " + err;
-            node.status(status);
+          send(allowed ? [msg, null] : [null, msg]);
+          if (done) {
+            done();
+          }
+        } catch (err) {
+          const status = JSON.parse(JSON.stringify(statuses.error));
+          status.text = status.text + ": " + err.message;
+          node.status(status);
 
-            if (err.code == "ETIMEDOUT") {
-              node.log(
-                `attempting connect to kubernetes watch (${
-                  kc.getCurrentCluster().server
-                }${endpoint}) due to connect timeout`
-              );
-            } else if (err == "resourceVersion stale") {
-              node.log(
-                `attempting connect to kubernetes watch (${
-                  kc.getCurrentCluster().server
-                }${endpoint}) due to stale resourceVersion`
-              );
-            } else {
-              node.log(
-                `attempting connect to kubernetes watch (${
-                  kc.getCurrentCluster().server
-                }${endpoint}) due to ${err}`
-              );
-            }
+          // Report back the error
+          if (done) {
+            // Use done if defined (1.0+)
+            done(err);
           } else {
-            node.log(
-              `attempting connect to kubernetes watch (${
-                kc.getCurrentCluster().server
-              }${endpoint}) due to unknown connection closure`
-            );
+            // Fallback to node.error (pre-1.0)
+            node.error(err, msg);
           }
         }
-      );
+      });
+    } else {
+      node.error("missing KubeConfig");
+      node.status(statuses.misconfigured);
+    }
+  }
+  RED.nodes.registerType(
+    "kubernetes-client-access",
+    KubernetesClientAccessNode
+  );
 
-      node.watch.on("socket", socket => {});
+  /**
+   * Forwards a local TCP port to a port of a pod while deployed
+   *
+   * @param {*} n
+   */
+  function KubernetesClientPortForwardNode(n) {
+    RED.nodes.createNode(this, n);
+
+    this.options = {
+      targetType: n.targetType || "pod",
+      namespace: n.namespace || "default",
+      targetName: n.targetName || "",
+      labelSelector: n.labelSelector || "",
+      port: n.port !== undefined ? String(n.port).trim() : "",
+      localPort: parseInt(n.localPort) >= 0 ? parseInt(n.localPort) : 0,
+      localAddress: n.localAddress || "127.0.0.1"
+    };
 
-      node.watch.on("error", err => {});
+    const node = this;
+    this.kubernetesClientConfig = n.kubernetesClientConfig;
+    this.kubernetesClientConfigNode = RED.nodes.getNode(
+      this.kubernetesClientConfig
+    );
 
-      node.watch.on("close", () => {});
+    if (node.kubernetesClientConfig) {
+      const kc = this.kubernetesClientConfigNode.kc;
 
-      node.watch.on("response", response => {
-        connecting = false;
-        if (response.statusCode == 200) {
-          node.status(statuses.connected);
-        }
+      node.forwarder = new PortForwarder(kc, {
+        namespace: node.options.namespace,
+        targetType: node.options.targetType,
+        name: node.options.targetName,
+        labelSelector: node.options.labelSelector,
+        port: node.options.port,
+        localPort: node.options.localPort,
+        localAddress: node.options.localAddress
       });
-    };
 
-    node.on("close", (removed, done) => {
-      if (removed) {
-        // This node has been deleted
-      } else {
-        // This node is being restarted
-      }
-      if (node.watch) {
-        node.watch.abort();
-        node.watch.destroy();
-        delete node.watch;
-      }
+      function updateStatus() {
+        const address = node.forwarder.address;
+        if (!address) {
+          return;
+        }
 
-      if (node.activityTimeoutInterval) {
-        clearInterval(node.activityTimeoutInterval);
+        const connections = node.forwarder.connections.size;
+        node.status({
+          fill: "green",
+          shape: connections > 0 ? "dot" : "ring",
+          text: `${address.address}:${address.port}, connections: ${connections}`
+        });
       }
 
-      if (node.shortInterval) {
-        clearInterval(node.shortInterval);
+      function sendEvent(topic, payload) {
+        const address = node.forwarder.address;
+        const msg = {};
+        msg.topic = topic;
+        msg.payload = Object.assign(
+          {
+            localAddress: address ? address.address : null,
+            localPort: address ? address.port : null,
+            namespace: node.options.namespace
+          },
+          payload
+        );
+        msg.kube = {};
+        msg.kube.config = {};
+        msg.kube.config.cluster = kc.getCurrentCluster();
+        msg.kube.config.context = kc.getCurrentContext();
+        msg.kube.config.user = kc.getCurrentUser();
+        msg.kube.client = kc;
+        node.send(msg);
       }
 
-      done();
-    });
+      node.forwarder.on("listening", address => {
+        updateStatus();
+        sendEvent("listening", {});
+      });
 
-    if (node.kubernetesClientConfig) {
-      node.startWatch();
+      node.forwarder.on("connection", connection => {
+        updateStatus();
+        sendEvent("connection", connection);
+      });
 
-      if (node.activityTimeoutInterval) {
-        clearInterval(node.activityTimeoutInterval);
-      }
+      node.forwarder.on("close", connection => {
+        updateStatus();
+        sendEvent("close", connection);
+      });
 
-      if (node.options.activityTimeout > 0) {
-        node.activityTimeoutInterval = setInterval(() => {
-          const currentTimestamp = Math.floor(Date.now() / 1000);
-          if (
-            !connecting &&
-            currentTimestamp - node.lastMessageTimestamp >
-              node.options.activityTimeout
-          ) {
-            node.log(
-              `attempting reconnect to kubernetes watch (${
-                kc.getCurrentCluster().server
-              }${endpoint}) due to inactivity timeout`
-            );
-            node.startWatch();
-          }
-        }, node.options.activityTimeout * 1000);
-      }
+      node.forwarder.on("error", err => {
+        const status = JSON.parse(JSON.stringify(statuses.error));
+        status.text = status.text + ": " + err.message;
+        node.status(status);
+        node.error(`port forward error: ${err.message}`);
+      });
 
-      if (node.shortInterval) {
-        clearInterval(node.shortInterval);
-      }
-      node.shortInterval = setInterval(() => {
-        if (!connecting && triggerWatchViaShortInterval) {
-          triggerWatchViaShortInterval = false;
-          node.log(
-            `attempting reconnect to kubernetes watch (${
-              kc.getCurrentCluster().server
-            }${endpoint}) due to short interval trigger`
-          );
-          node.startWatch();
-        }
-      }, shortIntervalSeconds * 1000);
+      node.status(statuses.connecting);
+      node.forwarder.start().catch(err => {
+        const status = JSON.parse(JSON.stringify(statuses.error));
+        status.text = status.text + ": " + err.message;
+        node.status(status);
+        node.error(
+          `failed to listen on ${node.options.localAddress}:${node.options.localPort}: ${err.message}`
+        );
+      });
+
+      node.on("close", async (removed, done) => {
+        node.forwarder.removeAllListeners();
+        node.forwarder.on("error", err => {});
+        await node.forwarder.stop();
+        done();
+      });
     } else {
       node.error("missing KubeConfig");
       node.status(statuses.misconfigured);
     }
   }
-  RED.nodes.registerType("kubernetes-client-watch", KubernetesClientWatchNode);
+  RED.nodes.registerType(
+    "kubernetes-client-port-forward",
+    KubernetesClientPortForwardNode
+  );
 
   /**
-   * TODO: support new option to 'continue' through the pages of responses
+   * Scale, rollout restart/undo/pause/resume and rollout status of workloads
    *
    * @param {*} n
    */
-  function KubernetesClientHttpNode(n) {
+  function KubernetesClientWorkloadNode(n) {
     RED.nodes.createNode(this, n);
 
-    this.options = {};
+    this.options = {
+      action: n.action || "status",
+      kind: n.kind || "Deployment",
+      apiVersion: n.apiVersion || "",
+      namespace: n.namespace || "default",
+      objectName: n.objectName || "",
+      replicas: n.replicas !== undefined ? String(n.replicas) : "",
+      toRevision: parseInt(n.toRevision) > 0 ? parseInt(n.toRevision) : 0,
+      wait: n.wait === true,
+      timeout: parseInt(n.timeout) > 0 ? parseInt(n.timeout) : 300
+    };
 
     const node = this;
-    node.lastMessageTimestamp = 0;
     this.kubernetesClientConfig = n.kubernetesClientConfig;
     this.kubernetesClientConfigNode = RED.nodes.getNode(
       this.kubernetesClientConfig
     );
 
     const kc = this.kubernetesClientConfigNode.kc;
+    const waits = new Set();
+
+    /**
+     * the node settings are the defaults, properties of msg.payload (an
+     * object) take precedence
+     *
+     * @param {*} msg
+     */
+    function getSpec(msg) {
+      const payload =
+        msg.payload && typeof msg.payload == "object" ? msg.payload : {};
+      const metadata = payload.metadata || {};
+
+      function value(property, option) {
+        return payload[property] !== undefined && payload[property] !== null
+          ? payload[property]
+          : node.options[option || property];
+      }
+
+      // a workload object of the message replaces the kind of the settings
+      const byObject = Boolean(payload.kind && payload.metadata);
+
+      return {
+        action: value("action"),
+        kind: byObject ? payload.kind : value("kind"),
+        apiVersion: byObject ? payload.apiVersion : value("apiVersion"),
+        namespace: metadata.namespace || value("namespace"),
+        name: metadata.name || value("name", "objectName"),
+        replicas: value("replicas"),
+        toRevision: value("toRevision"),
+        wait: value("wait"),
+        timeout: value("timeout")
+      };
+    }
+
+    /**
+     * resolves with { done, failed, message, object } once the rollout is
+     * complete, has failed or the timeout expired
+     *
+     * @param {*} selfLink
+     * @param {*} timeout seconds
+     */
+    function waitForRollout(selfLink, timeout) {
+      return new Promise(async (resolve, reject) => {
+        const wait = { finished: false, handle: null, timer: null, reject };
+        let current = null;
+        let progress = { done: false, failed: false, message: "" };
+
+        function finish(result) {
+          if (wait.finished) {
+            return;
+          }
+          wait.finished = true;
+          clearTimeout(wait.timer);
+          if (wait.handle) {
+            wait.handle.stop();
+          }
+          waits.delete(wait);
+          resolve(Object.assign(result, { object: current }));
+        }
+
+        function fail(err) {
+          if (wait.finished) {
+            return;
+          }
+          wait.finished = true;
+          clearTimeout(wait.timer);
+          if (wait.handle) {
+            wait.handle.stop();
+          }
+          waits.delete(wait);
+          reject(err);
+        }
+
+        waits.add(wait);
+        wait.timer = setTimeout(() => {
+          finish({
+            done: false,
+            failed: true,
+            message: `timed out after ${timeout}s: ${progress.message}`
+          });
+        }, timeout * 1000);
+
+        try {
+          wait.handle = await kc.watchObject(
+            selfLink,
+            (type, object) => {
+              current = object;
+              if (type == "DELETED" || object === null) {
+                finish({
+                  done: false,
+                  failed: true,
+                  message: `${selfLink} not found`
+                });
+                return;
+              }
+
+              progress = rollout.rolloutStatus(object);
+              node.status(
+                Object.assign({}, statuses.receiving, {
+                  text: `${object.metadata.name}: ${progress.message}`
+                })
+              );
+              if (progress.done || progress.failed) {
+                finish(progress);
+              }
+            },
+            fail
+          );
+
+          if (wait.finished) {
+            wait.handle.stop();
+          }
+        } catch (err) {
+          fail(err);
+        }
+      });
+    }
 
     if (node.kubernetesClientConfig) {
       node.on("input", async function(msg, send, done) {
-        node.status(statuses.sending);
-
         // support of 1.0+ and pre-1.0
         send =
           send ||
@@ -446,60 +2899,114 @@ module.exports = function(RED) {
             node.send.apply(node, arguments);
           };
 
+        const started = Date.now();
+        node.status(statuses.sending);
+
         try {
-          /**
-           * Properties of the response include:
-           *
-           * statusCode
-           * body
-           * headers
-           * request
-           */
-          let res = await kc.makeHttpRestRequest(msg);
-          msg.payload = res.body;
-
-          /**
-           * try to add selfLink to involvedObject
-           */
-          if (
-            ["Event", "EventList"].includes(msg.payload.kind) &&
-            msg.payload.apiVersion == "v1"
-          ) {
-            try {
-              switch (msg.payload.kind) {
-                case "Event":
-                  await kc.dressEventResource(msg.payload);
+          const spec = getSpec(msg);
+          if (!spec.name) {
+            throw new Error("missing name");
+          }
 
-                  break;
-                case "EventList":
-                  await Promise.all(
-                    msg.payload.items.map(async element => {
-                      try {
-                        return kc.dressEventResource(element);
-                      } catch (err) {}
-                    })
-                  );
+          // aliases (ie: deploy, sts) resolve to the kind
+          const definition = await kc.getAPIResource(
+            spec.kind,
+            spec.apiVersion || undefined
+          );
+          spec.kind = definition.resource.kind;
+          rollout.checkSupported(spec.action, spec.kind);
 
-                  break;
-              }
-            } catch (err) {}
+          const selfLink = await kc.buildResourceSelfLink(
+            spec.kind,
+            definition.apiVersion,
+            spec.name,
+            spec.namespace
+          );
+
+          const workload = {
+            action: spec.action,
+            kind: spec.kind,
+            namespace: spec.namespace,
+            name: spec.name
+          };
+          let result = { done: true, failed: false, message: "" };
+          let object = null;
+
+          switch (spec.action) {
+            case "scale":
+              object = await rollout.scale(kc, selfLink, spec.replicas);
+              workload.replicas = object.spec.replicas;
+              result.message = `scaled to ${workload.replicas} replicas`;
+              break;
+            case "restart":
+              object = await rollout.restart(kc, selfLink);
+              result.message = "restarted";
+              break;
+            case "undo": {
+              const undone = await rollout.undo(kc, selfLink, spec.toRevision);
+              object = undone.object;
+              workload.revision = undone.revision;
+              workload.skipped = undone.skipped;
+              result.message = undone.skipped
+                ? `skipped, revision ${undone.revision} is the current revision`
+                : `rolled back to revision ${undone.revision}`;
+              break;
+            }
+            case "pause":
+            case "resume":
+              object = await rollout.setPaused(
+                kc,
+                selfLink,
+                spec.action == "pause"
+              );
+              result.message = spec.action == "pause" ? "paused" : "resumed";
+              break;
+            case "status":
+              break;
+            default:
+              throw new Error(`unknown action: ${spec.action}`);
+          }
+
+          // the rollout of a paused deployment does not progress
+          if (
+            spec.action == "status" ||
+            (spec.wait &&
+              spec.action != "pause" &&
+              rollout.ROLLOUT_KINDS.status.includes(spec.kind))
+          ) {
+            const message = result.message;
+            result = await waitForRollout(selfLink, parseInt(spec.timeout));
+            object = result.object;
+            if (message) {
+              result.message = `${message}, ${result.message}`;
+            }
           }
 
+          workload.done = result.done;
+          workload.message = result.message;
+          workload.elapsed = Date.now() - started;
+
+          msg.payload = object;
           msg.kube = {};
-          msg.kube.response = JSON.parse(JSON.stringify(res));
+          msg.kube.workload = workload;
           msg.kube.config = {};
           msg.kube.config.cluster = kc.getCurrentCluster();
           msg.kube.config.context = kc.getCurrentContext();
           msg.kube.config.user = kc.getCurrentUser();
           msg.kube.client = kc;
-          send(msg);
-          node.status(statuses.blank);
+
+          node.status(
+            result.failed
+              ? { fill: "red", shape: "dot", text: result.message }
+              : { fill: "green", shape: "dot", text: result.message }
+          );
+          send(result.failed ? [null, msg] : [msg, null]);
           if (done) {
             done();
           }
         } catch (err) {
           const status = JSON.parse(JSON.stringify(statuses.error));
-          status.text = status.text + ": " + err;
+          status.text = status.text + ": " + err.message;
           node.status(status);
 
           // Report back the error
@@ -512,10 +3019,27 @@ module.exports = function(RED) {
           }
         }
       });
+
+      node.on("close", (removed, done) => {
+        waits.forEach(wait => {
+          wait.finished = true;
+          clearTimeout(wait.timer);
+          if (wait.handle) {
+            wait.handle.stop();
+          }
+          // completes the message through the error handling of input
+          wait.reject(new Error("node closed"));
+        });
+        waits.clear();
+        done();
+      });
     } else {
       node.error("missing KubeConfig");
       node.status(statuses.misconfigured);
     }
   }
-  RED.nodes.registerType("kubernetes-client-http", KubernetesClientHttpNode);
+  RED.nodes.registerType(
+    "kubernetes-client-workload",
+    KubernetesClientWorkloadNode
+  );
 };
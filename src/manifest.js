@@ -0,0 +1,117 @@
+"use strict";
+const k8s = require("@kubernetes/client-node");
+
+/**
+ * order in which kinds are created, similar to kubectl/helm
+ * kinds not listed are created last (in the order they were given)
+ */
+const KIND_ORDER = [
+  "Namespace",
+  "CustomResourceDefinition",
+  "NetworkPolicy",
+  "ResourceQuota",
+  "LimitRange",
+  "PodSecurityPolicy",
+  "PodDisruptionBudget",
+  "ServiceAccount",
+  "Secret",
+  "ConfigMap",
+  "StorageClass",
+  "PersistentVolume",
+  "PersistentVolumeClaim",
+  "ClusterRole",
+  "ClusterRoleBinding",
+  "Role",
+  "RoleBinding",
+  "Service",
+  "DaemonSet",
+  "Pod",
+  "ReplicationController",
+  "ReplicaSet",
+  "Deployment",
+  "HorizontalPodAutoscaler",
+  "StatefulSet",
+  "Job",
+  "CronJob",
+  "Ingress",
+  "APIService"
+];
+
+/**
+ * Parse a manifest into a flat list of objects
+ *
+ * accepts a (multi-document) yaml/json string, an array of objects, a List
+ * (ie: kind: List or any *List with items) or a single object
+ *
+ * @param {*} input
+ */
+function parseManifest(input) {
+  let documents;
+  if (Buffer.isBuffer(input)) {
+    input = input.toString();
+  }
+
+  if (typeof input == "string") {
+    documents = k8s.loadAllYaml(input);
+  } else if (Array.isArray(input)) {
+    documents = input;
+  } else if (input && typeof input == "object") {
+    documents = [input];
+  } else {
+    throw new Error("manifest must be a string, array or object");
+  }
+
+  const objects = [];
+  documents.forEach(document => {
+    if (!document || typeof document != "object") {
+      return;
+    }
+
+    if (Array.isArray(document)) {
+      objects.push(...parseManifest(document));
+    } else if (
+      Array.isArray(document.items) &&
+      /List$/.test(document.kind || "")
+    ) {
+      objects.push(...parseManifest(document.items));
+    } else {
+      objects.push(document);
+    }
+  });
+
+  return objects;
+}
+
+/**
+ * Sort objects in creation order (reverse for deletion), stable otherwise
+ *
+ * @param {*} objects
+ * @param {*} reverse
+ */
+function sortManifest(objects, reverse = false) {
+  function rank(object) {
+    const index = KIND_ORDER.indexOf(object.kind);
+    return index >= 0 ? index : KIND_ORDER.length;
+  }
+
+  const sorted = objects
+    .map((object, index) => {
+      return { object, index };
+    })
+    .sort((a, b) => {
+      return rank(a.object) - rank(b.object) || a.index - b.index;
+    })
+    .map(entry => {
+      return entry.object;
+    });
+
+  if (reverse) {
+    sorted.reverse();
+  }
+
+  return sorted;
+}
+
+module.exports.KIND_ORDER = KIND_ORDER;
+module.exports.parseManifest = parseManifest;
+module.exports.sortManifest = sortManifest;
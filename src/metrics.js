@@ -0,0 +1,259 @@
+"use strict";
+
+/**
+ * upper bounds (seconds) of the request duration histogram buckets
+ */
+const DURATION_BUCKETS = [
+  0.005,
+  0.01,
+  0.025,
+  0.05,
+  0.1,
+  0.25,
+  0.5,
+  1,
+  2.5,
+  5,
+  10
+];
+
+/**
+ * Health of a watch
+ *
+ * events by type, reconnects, 410 Gone responses, last event time, current
+ * resourceVersion and whether the watch is connected
+ */
+class WatchMetrics {
+  constructor() {
+    this.events = {};
+    this.reconnects = 0;
+    this.gone = 0;
+    this.lastEventAt = null;
+    this.resourceVersion = null;
+    this.connected = false;
+  }
+
+  /**
+   * @param {*} type
+   * @param {*} resourceVersion
+   */
+  event(type, resourceVersion) {
+    this.events[type] = (this.events[type] || 0) + 1;
+    this.lastEventAt = Date.now();
+    if (resourceVersion) {
+      this.resourceVersion = resourceVersion;
+    }
+  }
+
+  toJSON() {
+    return {
+      events: Object.assign({}, this.events),
+      reconnects: this.reconnects,
+      gone: this.gone,
+      lastEventAt: this.lastEventAt
+        ? new Date(this.lastEventAt).toISOString()
+        : null,
+      secondsSinceLastEvent: this.lastEventAt
+        ? (Date.now() - this.lastEventAt) / 1000
+        : null,
+      resourceVersion: this.resourceVersion,
+      connected: this.connected
+    };
+  }
+}
+
+/**
+ * Request counts and duration histograms by method and status code
+ */
+class RequestMetrics {
+  constructor() {
+    this.series = new Map();
+  }
+
+  /**
+   * @param {*} method
+   * @param {*} statusCode status code or "error" for network failures
+   * @param {*} seconds
+   */
+  observe(method, statusCode, seconds) {
+    const key = `${method} ${statusCode}`;
+    let series = this.series.get(key);
+    if (!series) {
+      series = {
+        method,
+        statusCode,
+        count: 0,
+        sum: 0,
+        buckets: DURATION_BUCKETS.map(() => 0)
+      };
+      this.series.set(key, series);
+    }
+
+    series.count++;
+    series.sum += seconds;
+    DURATION_BUCKETS.forEach((le, index) => {
+      if (seconds <= le) {
+        series.buckets[index]++;
+      }
+    });
+  }
+
+  toJSON() {
+    return Array.from(this.series.values()).map(series => {
+      // cumulative, ordered by upper bound
+      const buckets = DURATION_BUCKETS.map((le, index) => {
+        return { le, count: series.buckets[index] };
+      });
+      buckets.push({ le: "+Inf", count: series.count });
+
+      return {
+        method: series.method,
+        statusCode: series.statusCode,
+        count: series.count,
+        sum: series.sum,
+        buckets
+      };
+    });
+  }
+}
+
+function formatLabels(labels) {
+  return `{${Object.keys(labels)
+    .map(key => {
+      const value = String(labels[key] === null ? "" : labels[key])
+        .replace(/\\/g, "\\\\")
+        .replace(/\n/g, "\\n")
+        .replace(/"/g, '\\"');
+      return `${key}="${value}"`;
+    })
+    .join(",")}}`;
+}
+
+/**
+ * Prometheus text exposition format of a metrics snapshot
+ *
+ * the resourceVersion of watches is left out, it is opaque and a label of it
+ * would create a new series with every event
+ *
+ * https://prometheus.io/docs/instrumenting/exposition_formats/
+ *
+ * @param {*} snapshot { watches, requests } as built by the config node
+ */
+function formatPrometheus(snapshot) {
+  const lines = [];
+  const prefix = "node_red_kubernetes";
+
+  function family(name, type, help, samples) {
+    lines.push(`# HELP ${prefix}_${name} ${help}`);
+    lines.push(`# TYPE ${prefix}_${name} ${type}`);
+    samples.forEach(sample => {
+      lines.push(
+        `${prefix}_${sample.name || name}${formatLabels(sample.labels)} ${
+          sample.value
+        }`
+      );
+    });
+  }
+
+  const watches = snapshot.watches.map(watch => {
+    return {
+      watch,
+      labels: { node: watch.id, name: watch.name, endpoint: watch.endpoint }
+    };
+  });
+
+  family(
+    "watch_events_total",
+    "counter",
+    "Watch events received by type.",
+    [].concat(
+      ...watches.map(entry => {
+        return Object.keys(entry.watch.events).map(type => {
+          return {
+            labels: Object.assign({}, entry.labels, { type }),
+            value: entry.watch.events[type]
+          };
+        });
+      })
+    )
+  );
+  family(
+    "watch_reconnects_total",
+    "counter",
+    "Watch reconnect attempts.",
+    watches.map(entry => {
+      return { labels: entry.labels, value: entry.watch.reconnects };
+    })
+  );
+  family(
+    "watch_gone_total",
+    "counter",
+    "Watch 410 Gone responses (resourceVersion too old).",
+    watches.map(entry => {
+      return { labels: entry.labels, value: entry.watch.gone };
+    })
+  );
+  family(
+    "watch_last_event_timestamp_seconds",
+    "gauge",
+    "Time of the last watch event (0 if none).",
+    watches.map(entry => {
+      return {
+        labels: entry.labels,
+        value: entry.watch.lastEventAt
+          ? Date.parse(entry.watch.lastEventAt) / 1000
+          : 0
+      };
+    })
+  );
+  family(
+    "watch_connected",
+    "gauge",
+    "Whether the watch is connected.",
+    watches.map(entry => {
+      return { labels: entry.labels, value: entry.watch.connected ? 1 : 0 };
+    })
+  );
+
+  const samples = [];
+  snapshot.requests.forEach(node => {
+    node.requests.forEach(series => {
+      const labels = {
+        node: node.id,
+        name: node.name,
+        method: series.method,
+        code: series.statusCode
+      };
+      series.buckets.forEach(bucket => {
+        samples.push({
+          name: "request_duration_seconds_bucket",
+          labels: Object.assign({}, labels, { le: bucket.le }),
+          value: bucket.count
+        });
+      });
+      samples.push({
+        name: "request_duration_seconds_sum",
+        labels,
+        value: series.sum
+      });
+      samples.push({
+        name: "request_duration_seconds_count",
+        labels,
+        value: series.count
+      });
+    });
+  });
+  family(
+    "request_duration_seconds",
+    "histogram",
+    "Duration of API requests by method and status code.",
+    samples
+  );
+
+  return lines.join("\n") + "\n";
+}
+
+module.exports.DURATION_BUCKETS = DURATION_BUCKETS;
+module.exports.formatPrometheus = formatPrometheus;
+module.exports.RequestMetrics = RequestMetrics;
+module.exports.WatchMetrics = WatchMetrics;
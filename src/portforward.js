@@ -0,0 +1,382 @@
+"use strict";
+const EventEmitter = require("events");
+const net = require("net");
+const stream = require("stream");
+
+/**
+ * true if the pod is running, ready and not being deleted
+ *
+ * @param {*} pod
+ */
+function isPodReady(pod) {
+  if (!pod || (pod.metadata && pod.metadata.deletionTimestamp)) {
+    return false;
+  }
+
+  const status = pod.status || {};
+  if (status.phase != "Running") {
+    return false;
+  }
+
+  return (status.conditions || []).some(condition => {
+    return condition.type == "Ready" && condition.status == "True";
+  });
+}
+
+/**
+ * resolve a named container port of a pod, numbers are returned as is
+ *
+ * @param {*} pod
+ * @param {*} port number or name
+ */
+function resolveContainerPort(pod, port) {
+  if (/^\d+$/.test(String(port))) {
+    return parseInt(port);
+  }
+
+  for (const container of (pod.spec && pod.spec.containers) || []) {
+    for (const containerPort of container.ports || []) {
+      if (containerPort.name == port) {
+        return containerPort.containerPort;
+      }
+    }
+  }
+
+  throw new Error(
+    `pod ${pod.metadata.namespace}/${pod.metadata.name} has no port named ${port}`
+  );
+}
+
+/**
+ * Forwards the connections to a local TCP port to a port of a pod
+ * (portforward subresource over websocket)
+ *
+ * the pod is given by name or picked among the ready pods of a service or
+ * label selector, it is resolved again when a forward fails (ie: the pod
+ * restarted or was replaced) so new connections reach the current pod
+ *
+ * emits "listening" (address), "connection" and "close" ({ remote, pod, port })
+ * and "error" (err) for failed forwards
+ */
+class PortForwarder extends EventEmitter {
+  /**
+   * @param {*} kc KubeConfig
+   * @param {*} options { namespace, targetType (pod, service or selector), name, labelSelector, port, localPort, localAddress }
+   */
+  constructor(kc, options = {}) {
+    super();
+    this.kc = kc;
+    this.namespace = options.namespace || "default";
+    this.targetType = options.targetType || "pod";
+    this.name = options.name || "";
+    this.labelSelector = options.labelSelector || "";
+    this.port = options.port;
+    this.localPort = parseInt(options.localPort) || 0;
+    this.localAddress = options.localAddress || "127.0.0.1";
+    this.server = null;
+    this.connections = new Set();
+    this.target = null;
+  }
+
+  get address() {
+    return this.server ? this.server.address() : null;
+  }
+
+  /**
+   * listen on the local port
+   */
+  start() {
+    if (this.server) {
+      return Promise.resolve(this.address);
+    }
+
+    return new Promise((resolve, reject) => {
+      const server = net.createServer(socket => {
+        this.forward(socket);
+      });
+      server.once("error", reject);
+      server.listen(this.localPort, this.localAddress, () => {
+        server.removeListener("error", reject);
+        server.on("error", err => {
+          this.emit("error", err);
+        });
+        this.server = server;
+        this.emit("listening", this.address);
+        resolve(this.address);
+      });
+    });
+  }
+
+  /**
+   * stop listening and close all connections
+   */
+  stop() {
+    const server = this.server;
+    this.server = null;
+    this.target = null;
+    this.connections.forEach(socket => {
+      socket.destroy();
+    });
+    this.connections.clear();
+
+    if (!server) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      server.close(() => {
+        resolve();
+      });
+    });
+  }
+
+  async getPod(name) {
+    const res = await this.kc.makeHttpRestRequest({
+      topic: `/api/v1/namespaces/${this.namespace}/pods/${name}`
+    });
+
+    if (res.statusCode != 200) {
+      throw new Error(
+        `failed to get pod ${this.namespace}/${name} - code: ${
+          res.statusCode
+        }, message: ${res.body ? res.body.message : ""}`
+      );
+    }
+
+    return res.body;
+  }
+
+  /**
+   * the first ready pod (by name) matching the selector
+   *
+   * @param {*} labelSelector
+   * @param {*} description used in error messages
+   */
+  async pickPod(labelSelector, description) {
+    const res = await this.kc.makeHttpRestRequest({
+      topic: `/api/v1/namespaces/${this.namespace}/pods`,
+      payload: { labelSelector }
+    });
+
+    if (res.statusCode != 200) {
+      throw new Error(
+        `failed to list pods of ${description} - code: ${
+          res.statusCode
+        }, message: ${res.body ? res.body.message : ""}`
+      );
+    }
+
+    const pods = res.body.items.filter(isPodReady).sort((a, b) => {
+      return a.metadata.name.localeCompare(b.metadata.name);
+    });
+    if (pods.length < 1) {
+      throw new Error(`no ready pod for ${description}`);
+    }
+
+    return pods[0];
+  }
+
+  /**
+   * the pod and (container) port to forward to, see kubectl port-forward
+   * for the resolution of service ports
+   */
+  async resolveTarget() {
+    let pod;
+    let port = this.port;
+
+    switch (this.targetType) {
+      case "service": {
+        if (!this.name) {
+          throw new Error("missing service");
+        }
+        const res = await this.kc.makeHttpRestRequest({
+          topic: `/api/v1/namespaces/${this.namespace}/services/${this.name}`
+        });
+        if (res.statusCode != 200) {
+          throw new Error(
+            `failed to get service ${this.namespace}/${this.name} - code: ${
+              res.statusCode
+            }, message: ${res.body ? res.body.message : ""}`
+          );
+        }
+
+        const service = res.body;
+        const selector = service.spec.selector || {};
+        if (Object.keys(selector).length < 1) {
+          throw new Error(
+            `service ${this.namespace}/${this.name} has no selector`
+          );
+        }
+
+        const ports = service.spec.ports || [];
+        const servicePort =
+          port === undefined || port === ""
+            ? ports.length == 1
+              ? ports[0]
+              : null
+            : ports.find(item => {
+                return item.port == port || item.name == port;
+              });
+        if (!servicePort) {
+          throw new Error(
+            `service ${this.namespace}/${this.name} has no port ${
+              port === undefined || port === "" ? "(more than one)" : port
+            }`
+          );
+        }
+
+        pod = await this.pickPod(
+          Object.keys(selector)
+            .map(key => {
+              return `${key}=${selector[key]}`;
+            })
+            .join(","),
+          `service ${this.namespace}/${this.name}`
+        );
+        port =
+          servicePort.targetPort !== undefined
+            ? servicePort.targetPort
+            : servicePort.port;
+        break;
+      }
+      case "selector":
+        if (!this.labelSelector) {
+          throw new Error("missing label selector");
+        }
+        pod = await this.pickPod(
+          this.labelSelector,
+          `selector ${this.labelSelector}`
+        );
+        break;
+      case "pod":
+      default:
+        if (!this.name) {
+          throw new Error("missing pod");
+        }
+        pod = await this.getPod(this.name);
+        if (pod.status && pod.status.phase != "Running") {
+          throw new Error(
+            `pod ${this.namespace}/${this.name} is not running (${pod.status.phase})`
+          );
+        }
+        break;
+    }
+
+    if (port === undefined || port === "") {
+      throw new Error("missing port");
+    }
+
+    return {
+      pod: pod.metadata.name,
+      port: resolveContainerPort(pod, port)
+    };
+  }
+
+  /**
+   * open the websocket of a connection
+   *
+   * data on the error channel (ie: nothing listening on the port) ends the
+   * connection
+   *
+   * @param {*} target
+   * @param {*} socket
+   */
+  async open(target, socket) {
+    const errors = new stream.Writable({
+      write: (chunk, encoding, callback) => {
+        // the first frame of a channel only carries the port
+        if (chunk.length < 1) {
+          callback();
+          return;
+        }
+
+        this.target = null;
+        this.emit(
+          "error",
+          new Error(
+            `forward to ${this.namespace}/${target.pod}:${
+              target.port
+            } failed: ${chunk.toString()}`
+          )
+        );
+        socket.destroy();
+        callback();
+      }
+    });
+
+    return this.kc
+      .createPortForward()
+      .portForward(
+        this.namespace,
+        target.pod,
+        [target.port],
+        socket,
+        errors,
+        socket
+      );
+  }
+
+  /**
+   * relay a local connection, the target is resolved again (once) if the
+   * websocket cannot be opened
+   *
+   * @param {*} socket
+   */
+  async forward(socket) {
+    const remote = `${socket.remoteAddress}:${socket.remotePort}`;
+    let ws = null;
+    let target = null;
+    let closed = false;
+
+    this.connections.add(socket);
+    socket.on("error", err => {});
+    socket.on("close", () => {
+      closed = true;
+      this.connections.delete(socket);
+      if (ws) {
+        ws.close();
+        this.emit("close", { remote, pod: target.pod, port: target.port });
+      }
+    });
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        target = this.target || (await this.resolveTarget());
+        try {
+          ws = await this.open(target, socket);
+          break;
+        } catch (err) {
+          this.target = null;
+          if (attempt > 0 || closed) {
+            throw err.message
+              ? err
+              : new Error(`failed to open forward: ${err.type || err}`);
+          }
+        }
+      }
+    } catch (err) {
+      socket.destroy();
+      this.emit("error", err);
+      return;
+    }
+
+    this.target = target;
+    if (closed) {
+      ws.close();
+      return;
+    }
+
+    // closed by the server (ie: the pod is gone)
+    ws.on("close", () => {
+      if (!closed) {
+        socket.end();
+      }
+    });
+
+    this.emit("connection", { remote, pod: target.pod, port: target.port });
+  }
+}
+
+module.exports.isPodReady = isPodReady;
+module.exports.PortForwarder = PortForwarder;
+module.exports.resolveContainerPort = resolveContainerPort;
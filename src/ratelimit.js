@@ -0,0 +1,55 @@
+"use strict";
+
+/**
+ * Token bucket rate limiter
+ *
+ * allows bursts of up to burst requests and qps requests per second on
+ * average, waiting requests are served in order
+ */
+class RateLimiter {
+  /**
+   * @param {*} qps
+   * @param {*} burst defaults to qps (at least 1)
+   */
+  constructor(qps, burst) {
+    this.qps = Number(qps);
+    this.burst = Math.max(1, Math.floor(Number(burst) || this.qps));
+    this.tokens = this.burst;
+    this.last = Date.now();
+  }
+
+  /**
+   * take a token, returns the milliseconds to wait before it may be used
+   */
+  reserve() {
+    const now = Date.now();
+    this.tokens = Math.min(
+      this.burst,
+      this.tokens + ((now - this.last) / 1000) * this.qps
+    );
+    this.last = now;
+    this.tokens -= 1;
+
+    if (this.tokens >= 0) {
+      return 0;
+    }
+
+    return Math.ceil((-this.tokens / this.qps) * 1000);
+  }
+
+  /**
+   * resolves with the milliseconds waited once a request may be sent
+   */
+  async acquire() {
+    const wait = this.reserve();
+    if (wait > 0) {
+      await new Promise(resolve => {
+        setTimeout(resolve, wait);
+      });
+    }
+
+    return wait;
+  }
+}
+
+module.exports.RateLimiter = RateLimiter;
@@ -0,0 +1,99 @@
+"use strict";
+
+/**
+ * error codes of tls failures which will not resolve themselves
+ */
+const TLS_ERROR_CODES = [
+  "CERT_HAS_EXPIRED",
+  "CERT_NOT_YET_VALID",
+  "CERT_SIGNATURE_FAILURE",
+  "CERT_UNTRUSTED",
+  "DEPTH_ZERO_SELF_SIGNED_CERT",
+  "ERR_TLS_CERT_ALTNAME_INVALID",
+  "SELF_SIGNED_CERT_IN_CHAIN",
+  "UNABLE_TO_GET_ISSUER_CERT",
+  "UNABLE_TO_GET_ISSUER_CERT_LOCALLY",
+  "UNABLE_TO_VERIFY_LEAF_SIGNATURE"
+];
+
+/**
+ * Classify a failure to determine if retrying makes sense
+ *
+ * returns { type, permanent } where type is one of tls, unauthorized,
+ * forbidden, notfound, network or unknown
+ *
+ * @param {*} err an Error (with optional code/statusCode)
+ */
+function classifyError(err) {
+  const code = err && err.code;
+  const statusCode = err && err.statusCode;
+
+  if (TLS_ERROR_CODES.includes(code)) {
+    return { type: "tls", permanent: true };
+  }
+
+  switch (statusCode) {
+    case 401:
+      return { type: "unauthorized", permanent: true };
+    case 403:
+      return { type: "forbidden", permanent: true };
+    case 404:
+      return { type: "notfound", permanent: true };
+  }
+
+  if (code) {
+    return { type: "network", permanent: false };
+  }
+
+  return { type: "unknown", permanent: false };
+}
+
+/**
+ * Exponential backoff
+ *
+ * delay = min(initialDelay * multiplier ^ (attempt - 1), maxDelay) +/- jitter
+ */
+class ReconnectPolicy {
+  /**
+   * @param {*} options { initialDelay, maxDelay, multiplier, jitter, maxAttempts } (delays in seconds, jitter as fraction, 0 attempts = unlimited)
+   */
+  constructor(options = {}) {
+    this.initialDelay =
+      options.initialDelay >= 0 ? Number(options.initialDelay) : 1;
+    this.maxDelay = options.maxDelay >= 0 ? Number(options.maxDelay) : 60;
+    this.multiplier = options.multiplier >= 1 ? Number(options.multiplier) : 2;
+    this.jitter =
+      options.jitter >= 0 ? Math.min(Number(options.jitter), 1) : 0.2;
+    this.maxAttempts =
+      options.maxAttempts >= 0 ? parseInt(options.maxAttempts) : 0;
+    this.attempt = 0;
+  }
+
+  get exhausted() {
+    return this.maxAttempts > 0 && this.attempt >= this.maxAttempts;
+  }
+
+  /**
+   * advance to the next attempt and return its delay in milliseconds
+   */
+  next() {
+    this.attempt++;
+    let delay = Math.min(
+      this.initialDelay * Math.pow(this.multiplier, this.attempt - 1),
+      this.maxDelay
+    );
+
+    if (this.jitter > 0) {
+      delay += delay * this.jitter * (Math.random() * 2 - 1);
+    }
+
+    return Math.max(0, Math.round(delay * 1000));
+  }
+
+  reset() {
+    this.attempt = 0;
+  }
+}
+
+module.exports.classifyError = classifyError;
+module.exports.ReconnectPolicy = ReconnectPolicy;
@@ -0,0 +1,439 @@
+"use strict";
+
+const RESTARTED_AT_ANNOTATION = "kubectl.kubernetes.io/restartedAt";
+const REVISION_ANNOTATION = "deployment.kubernetes.io/revision";
+
+/**
+ * actions and the kinds supporting them (scale supports any kind with a
+ * scale subresource)
+ */
+const ROLLOUT_KINDS = {
+  restart: ["Deployment", "StatefulSet", "DaemonSet"],
+  undo: ["Deployment", "StatefulSet", "DaemonSet"],
+  pause: ["Deployment"],
+  resume: ["Deployment"],
+  status: ["Deployment", "StatefulSet", "DaemonSet"]
+};
+
+/**
+ * metav1.LabelSelector as a label selector string
+ *
+ * @param {*} selector { matchLabels, matchExpressions }
+ */
+function formatLabelSelector(selector = {}) {
+  const requirements = Object.keys(selector.matchLabels || {}).map(key => {
+    return `${key}=${selector.matchLabels[key]}`;
+  });
+
+  (selector.matchExpressions || []).forEach(expression => {
+    const values = (expression.values || []).join(",");
+    switch (expression.operator) {
+      case "In":
+        requirements.push(`${expression.key} in (${values})`);
+        break;
+      case "NotIn":
+        requirements.push(`${expression.key} notin (${values})`);
+        break;
+      case "Exists":
+        requirements.push(expression.key);
+        break;
+      case "DoesNotExist":
+        requirements.push(`!${expression.key}`);
+        break;
+    }
+  });
+
+  return requirements.join(",");
+}
+
+/**
+ * @param {*} action
+ * @param {*} kind
+ */
+function checkSupported(action, kind) {
+  if (ROLLOUT_KINDS[action] && !ROLLOUT_KINDS[action].includes(kind)) {
+    throw new Error(`${action} is not supported for ${kind}`);
+  }
+}
+
+async function request(kc, msg, expected, description) {
+  const res = await kc.makeHttpRestRequest(msg);
+  if (!expected.includes(res.statusCode)) {
+    const err = new Error(
+      `failed to ${description} - code: ${res.statusCode}, message: ${
+        res.body ? res.body.message : ""
+      }`
+    );
+    err.statusCode = res.statusCode;
+    throw err;
+  }
+
+  return res.body;
+}
+
+/**
+ * set the replicas through the scale subresource, returns the Scale
+ *
+ * @param {*} kc KubeConfig
+ * @param {*} selfLink of the workload
+ * @param {*} replicas
+ */
+async function scale(kc, selfLink, replicas) {
+  replicas = parseInt(replicas);
+  if (!(replicas >= 0)) {
+    throw new Error("missing or invalid replicas");
+  }
+
+  return request(
+    kc,
+    {
+      topic: `${selfLink}/scale`,
+      method: "PATCH",
+      payload: { spec: { replicas } }
+    },
+    [200],
+    `scale ${selfLink}`
+  );
+}
+
+/**
+ * restart the pods (kubectl rollout restart) by changing an annotation of
+ * the pod template
+ *
+ * @param {*} kc KubeConfig
+ * @param {*} selfLink of the workload
+ */
+async function restart(kc, selfLink) {
+  return request(
+    kc,
+    {
+      topic: selfLink,
+      method: "PATCH",
+      payload: {
+        spec: {
+          template: {
+            metadata: {
+              annotations: {
+                [RESTARTED_AT_ANNOTATION]: new Date().toISOString()
+              }
+            }
+          }
+        }
+      }
+    },
+    [200],
+    `restart ${selfLink}`
+  );
+}
+
+/**
+ * pause or resume the rollout of a Deployment
+ *
+ * @param {*} kc KubeConfig
+ * @param {*} selfLink of the deployment
+ * @param {*} paused
+ */
+async function setPaused(kc, selfLink, paused) {
+  return request(
+    kc,
+    {
+      topic: selfLink,
+      method: "PATCH",
+      payload: { spec: { paused } }
+    },
+    [200],
+    `${paused ? "pause" : "resume"} ${selfLink}`
+  );
+}
+
+/**
+ * the revisions of a workload, ReplicaSets of a Deployment or
+ * ControllerRevisions of a StatefulSet/DaemonSet, sorted by revision
+ *
+ * returns [{ revision, object }]
+ *
+ * @param {*} kc KubeConfig
+ * @param {*} workload
+ */
+async function listRevisions(kc, workload) {
+  const namespace = workload.metadata.namespace;
+  const resource =
+    workload.kind == "Deployment" ? "replicasets" : "controllerrevisions";
+  const list = await request(
+    kc,
+    {
+      topic: `/apis/apps/v1/namespaces/${namespace}/${resource}`,
+      payload: {
+        labelSelector: formatLabelSelector(workload.spec.selector)
+      }
+    },
+    [200],
+    `list ${resource} of ${namespace}/${workload.metadata.name}`
+  );
+
+  return list.items
+    .filter(item => {
+      return (item.metadata.ownerReferences || []).some(owner => {
+        return owner.uid == workload.metadata.uid;
+      });
+    })
+    .map(item => {
+      const revision =
+        workload.kind == "Deployment"
+          ? parseInt((item.metadata.annotations || {})[REVISION_ANNOTATION])
+          : parseInt(item.revision);
+      return { revision, object: item };
+    })
+    .filter(item => {
+      return item.revision > 0;
+    })
+    .sort((a, b) => {
+      return a.revision - b.revision;
+    });
+}
+
+/**
+ * roll back to a previous revision (kubectl rollout undo)
+ *
+ * returns { revision, skipped, object } where revision is the revision
+ * rolled back to and skipped is true if it is the current one
+ *
+ * @param {*} kc KubeConfig
+ * @param {*} selfLink of the workload
+ * @param {*} toRevision 0 for the previous revision
+ */
+async function undo(kc, selfLink, toRevision = 0) {
+  const workload = await request(
+    kc,
+    { topic: selfLink },
+    [200],
+    `get ${selfLink}`
+  );
+  checkSupported("undo", workload.kind);
+
+  if (workload.kind == "Deployment" && workload.spec.paused) {
+    throw new Error(
+      `cannot undo a paused deployment ${workload.metadata.namespace}/${workload.metadata.name}, resume it first`
+    );
+  }
+
+  const revisions = await listRevisions(kc, workload);
+  const current =
+    workload.kind == "Deployment"
+      ? parseInt((workload.metadata.annotations || {})[REVISION_ANNOTATION])
+      : revisions.length > 0
+      ? revisions[revisions.length - 1].revision
+      : 0;
+
+  toRevision = parseInt(toRevision) || 0;
+  let target;
+  if (toRevision > 0) {
+    target = revisions.find(item => {
+      return item.revision == toRevision;
+    });
+    if (!target) {
+      throw new Error(`unable to find revision ${toRevision}`);
+    }
+  } else {
+    target = revisions
+      .filter(item => {
+        return item.revision < current;
+      })
+      .pop();
+    if (!target) {
+      throw new Error("no previous revision to roll back to");
+    }
+  }
+
+  if (target.revision == current) {
+    return { revision: target.revision, skipped: true, object: workload };
+  }
+
+  let patch;
+  if (workload.kind == "Deployment") {
+    // the pod-template-hash label is added by the deployment controller
+    const template = JSON.parse(JSON.stringify(target.object.spec.template));
+    if (template.metadata && template.metadata.labels) {
+      delete template.metadata.labels["pod-template-hash"];
+    }
+    patch = {
+      method: "PATCH-JSON",
+      payload: [{ op: "replace", path: "/spec/template", value: template }]
+    };
+  } else {
+    // the data of a ControllerRevision is a patch of the workload
+    patch = { method: "PATCH-STRATEGIC-MERGE", payload: target.object.data };
+  }
+
+  const object = await request(
+    kc,
+    Object.assign({ topic: selfLink }, patch),
+    [200],
+    `undo ${selfLink} to revision ${target.revision}`
+  );
+
+  return { revision: target.revision, skipped: false, object };
+}
+
+/**
+ * progress of the rollout of a workload, see kubectl rollout status
+ *
+ * returns { done, failed, message }
+ *
+ * @param {*} object Deployment, StatefulSet or DaemonSet
+ */
+function rolloutStatus(object) {
+  const metadata = object.metadata || {};
+  const spec = object.spec || {};
+  const status = object.status || {};
+  const name = `${metadata.namespace}/${metadata.name}`;
+  const generation = metadata.generation || 0;
+  const observedGeneration = status.observedGeneration || 0;
+
+  function waiting(message) {
+    return { done: false, failed: false, message };
+  }
+
+  switch (object.kind) {
+    case "Deployment": {
+      if (generation > observedGeneration) {
+        return waiting("waiting for deployment spec update to be observed");
+      }
+
+      const progressing = (status.conditions || []).find(condition => {
+        return condition.type == "Progressing";
+      });
+      if (progressing && progressing.reason == "ProgressDeadlineExceeded") {
+        return {
+          done: false,
+          failed: true,
+          message: `deployment ${name} exceeded its progress deadline`
+        };
+      }
+
+      const replicas = spec.replicas !== undefined ? spec.replicas : 1;
+      const updated = status.updatedReplicas || 0;
+      if (updated < replicas) {
+        return waiting(
+          `${updated} out of ${replicas} new replicas have been updated`
+        );
+      }
+      if ((status.replicas || 0) > updated) {
+        return waiting(
+          `${status.replicas - updated} old replicas are pending termination`
+        );
+      }
+      if ((status.availableReplicas || 0) < updated) {
+        return waiting(
+          `${status.availableReplicas ||
+            0} of ${updated} updated replicas are available`
+        );
+      }
+
+      return {
+        done: true,
+        failed: false,
+        message: `deployment ${name} successfully rolled out`
+      };
+    }
+    case "StatefulSet": {
+      if (observedGeneration == 0 || generation > observedGeneration) {
+        return waiting("waiting for statefulset spec update to be observed");
+      }
+
+      const strategy = spec.updateStrategy || {};
+      if (strategy.type == "OnDelete") {
+        return {
+          done: false,
+          failed: true,
+          message: "rollout status is only available for RollingUpdate strategy"
+        };
+      }
+
+      const desired = spec.replicas !== undefined ? spec.replicas : 1;
+      if ((status.readyReplicas || 0) < desired) {
+        return waiting(
+          `waiting for ${desired -
+            (status.readyReplicas || 0)} pods to be ready`
+        );
+      }
+
+      const partition =
+        strategy.rollingUpdate && strategy.rollingUpdate.partition
+          ? strategy.rollingUpdate.partition
+          : 0;
+      if (partition > 0) {
+        if ((status.updatedReplicas || 0) < desired - partition) {
+          return waiting(
+            `${status.updatedReplicas || 0} out of ${desired -
+              partition} new pods have been updated (partitioned)`
+          );
+        }
+        return {
+          done: true,
+          failed: false,
+          message: `partitioned roll out of statefulset ${name} complete: ${status.updatedReplicas} new pods have been updated`
+        };
+      }
+
+      if (status.updateRevision != status.currentRevision) {
+        return waiting(
+          `waiting for rolling update to complete ${status.updatedReplicas ||
+            0} pods at revision ${status.updateRevision}`
+        );
+      }
+
+      return {
+        done: true,
+        failed: false,
+        message: `statefulset ${name} rolling update complete ${status.currentReplicas ||
+          0} pods at revision ${status.currentRevision}`
+      };
+    }
+    case "DaemonSet": {
+      if ((spec.updateStrategy || {}).type == "OnDelete") {
+        return {
+          done: false,
+          failed: true,
+          message: "rollout status is only available for RollingUpdate strategy"
+        };
+      }
+
+      if (generation > observedGeneration) {
+        return waiting("waiting for daemonset spec update to be observed");
+      }
+
+      const scheduled = status.desiredNumberScheduled || 0;
+      if ((status.updatedNumberScheduled || 0) < scheduled) {
+        return waiting(
+          `${status.updatedNumberScheduled ||
+            0} out of ${scheduled} new pods have been updated`
+        );
+      }
+      if ((status.numberAvailable || 0) < scheduled) {
+        return waiting(
+          `${status.numberAvailable ||
+            0} of ${scheduled} updated pods are available`
+        );
+      }
+
+      return {
+        done: true,
+        failed: false,
+        message: `daemonset ${name} successfully rolled out`
+      };
+    }
+    default:
+      throw new Error(`status is not supported for ${object.kind}`);
+  }
+}
+
+module.exports.checkSupported = checkSupported;
+module.exports.ROLLOUT_KINDS = ROLLOUT_KINDS;
+module.exports.formatLabelSelector = formatLabelSelector;
+module.exports.listRevisions = listRevisions;
+module.exports.restart = restart;
+module.exports.rolloutStatus = rolloutStatus;
+module.exports.scale = scale;
+module.exports.setPaused = setPaused;
+module.exports.undo = undo;
@@ -0,0 +1,150 @@
+"use strict";
+
+/**
+ * In-memory cache of kubernetes objects keyed by namespace/name
+ *
+ * cluster-scoped objects are keyed by name only
+ */
+class ObjectStore {
+  constructor() {
+    this.objects = new Map();
+    this.synced = false;
+    this.resourceVersion = null;
+  }
+
+  /**
+   * build the store key for an object or namespace/name pair
+   *
+   * @param {*} object
+   */
+  static keyFor(object) {
+    let namespace;
+    let name;
+    if (typeof object == "string") {
+      return object;
+    }
+
+    if (object.metadata) {
+      namespace = object.metadata.namespace;
+      name = object.metadata.name;
+    } else {
+      namespace = object.namespace;
+      name = object.name;
+    }
+
+    if (namespace) {
+      return `${namespace}/${name}`;
+    }
+    return name;
+  }
+
+  get size() {
+    return this.objects.size;
+  }
+
+  /**
+   * get(object), get("namespace/name") or get(namespace, name)
+   */
+  get(namespace, name) {
+    let key = namespace;
+    if (arguments.length > 1) {
+      key = ObjectStore.keyFor({ namespace, name });
+    } else if (typeof namespace == "object") {
+      key = ObjectStore.keyFor(namespace);
+    }
+    return this.objects.get(key);
+  }
+
+  has(object) {
+    return this.objects.has(ObjectStore.keyFor(object));
+  }
+
+  keys() {
+    return Array.from(this.objects.keys());
+  }
+
+  /**
+   * list all objects, optionally limited to a namespace
+   *
+   * @param {*} namespace
+   */
+  list(namespace) {
+    const objects = Array.from(this.objects.values());
+    if (namespace) {
+      return objects.filter(object => {
+        return object.metadata && object.metadata.namespace == namespace;
+      });
+    }
+    return objects;
+  }
+
+  /**
+   * apply a watch event to the store
+   *
+   * returns the previously stored version of the object (if any)
+   *
+   * @param {*} type
+   * @param {*} object
+   */
+  apply(type, object) {
+    const key = ObjectStore.keyFor(object);
+    const previous = this.objects.get(key);
+    switch (type) {
+      case "ADDED":
+      case "MODIFIED":
+        this.objects.set(key, object);
+        break;
+      case "DELETED":
+        this.objects.delete(key);
+        break;
+    }
+
+    return previous;
+  }
+
+  /**
+   * replace the full contents of the store (ie: after a LIST)
+   *
+   * returns the list of synthetic events required to move from the previous
+   * state to the new state
+   *
+   * @param {*} objects
+   */
+  replace(objects) {
+    const events = [];
+    const keys = new Set();
+    objects.forEach(object => {
+      const key = ObjectStore.keyFor(object);
+      const previous = this.objects.get(key);
+      keys.add(key);
+      if (!previous) {
+        events.push({ type: "ADDED", object });
+      } else if (
+        previous.metadata.resourceVersion != object.metadata.resourceVersion
+      ) {
+        events.push({ type: "MODIFIED", object });
+      }
+    });
+
+    this.objects.forEach((object, key) => {
+      if (!keys.has(key)) {
+        events.push({ type: "DELETED", object });
+      }
+    });
+
+    this.objects.clear();
+    objects.forEach(object => {
+      this.objects.set(ObjectStore.keyFor(object), object);
+    });
+
+    return events;
+  }
+
+  clear() {
+    this.objects.clear();
+    this.synced = false;
+    this.resourceVersion = null;
+  }
+}
+
+module.exports.ObjectStore = ObjectStore;
@@ -0,0 +1,684 @@
+"use strict";
+const classifyError = require("./reconnect").classifyError;
+const WatchMetrics = require("./metrics").WatchMetrics;
+const ObjectStore = require("./store").ObjectStore;
+const ReconnectPolicy = require("./reconnect").ReconnectPolicy;
+
+/**
+ * @param {*} err the error a watch ended with (if any)
+ */
+function reconnectReason(err) {
+  if (!err) {
+    return "unknown connection closure";
+  }
+
+  if (err.code == "ETIMEDOUT") {
+    return "connect timeout";
+  }
+
+  if (err == "resourceVersion stale") {
+    return "stale resourceVersion";
+  }
+
+  return String(err);
+}
+
+/**
+ * A watch of an endpoint which reconnects until stopped
+ *
+ * with a store the objects are kept (the previous version of an object is
+ * passed along with its events), with list the endpoint is listed first and
+ * watched from the resourceVersion of the list. 410 Gone lists again, the
+ * differences are sent as synthetic events followed by SYNCED.
+ *
+ * without list the resourceVersion to start from is determined by the
+ * initial (and after 410 Gone the gone) resourceVersion strategy, the watch
+ * resumes from the latest received resourceVersion otherwise
+ *
+ * handler is { onEvent(type, object, previous), onStatus(state, text), onLog(level, message) }
+ * where state is one of connecting, connected, disconnected, reconnecting,
+ * error or failed (permanent failure, stopped) and level is log or error
+ */
+class WatchConnection {
+  /**
+   * @param {*} kc KubeConfig
+   * @param {*} endpoint path (including selectors)
+   * @param {*} options { impersonate, activityTimeout, reconnectInitialDelay, reconnectMaxDelay, reconnectMultiplier, reconnectJitter, reconnectMaxAttempts, store, list, initialResourceVersionStrategy, goneResourceVersionStrategy, restore, resourceVersion, metrics } (seconds)
+   * @param {*} handler
+   */
+  constructor(kc, endpoint, options = {}, handler = {}) {
+    this.kc = kc;
+    this.endpoint = endpoint;
+    this.handler = handler;
+    this.impersonate = options.impersonate || null;
+    this.activityTimeout =
+      options.activityTimeout >= 0 ? options.activityTimeout : 90;
+    this.pageSize = 500;
+    this.policy = new ReconnectPolicy({
+      initialDelay: options.reconnectInitialDelay,
+      maxDelay: options.reconnectMaxDelay,
+      multiplier: options.reconnectMultiplier,
+      jitter: options.reconnectJitter,
+      maxAttempts: options.reconnectMaxAttempts
+    });
+    this.initialResourceVersionStrategy =
+      options.initialResourceVersionStrategy || "";
+    this.goneResourceVersionStrategy =
+      options.goneResourceVersionStrategy || "";
+
+    // returns the persisted resourceVersion (or null), undefined if none applies
+    this.restore = options.restore || null;
+    this.watch = kc.createWatch(this.impersonate);
+    this.store = options.store || null;
+    this.listing = Boolean(options.list && this.store);
+    this.seeded = false;
+    this.metrics = options.metrics || new WatchMetrics();
+
+    // the latest received and the strategy determined resourceVersion
+    this.resourceVersion = null;
+    this.initialResourceVersion = undefined;
+    this.forcedResourceVersion =
+      options.resourceVersion !== undefined && options.resourceVersion !== false
+        ? options.resourceVersion
+        : undefined;
+    this.gone = false;
+
+    this.state = "stopped";
+    this.stateText = "";
+    this.running = false;
+    this.connecting = false;
+    this.generation = 0;
+    this.request = null;
+    this.statusCode = null;
+    this.credentialsRefreshed = false;
+    this.lastEventAt = 0;
+    this.timer = null;
+    this.activityInterval = null;
+  }
+
+  get description() {
+    return `${this.kc.getCurrentCluster().server}${this.endpoint}`;
+  }
+
+  start() {
+    this.running = true;
+    this.policy.reset();
+    this.connect();
+
+    clearInterval(this.activityInterval);
+    if (this.activityTimeout > 0) {
+      this.activityInterval = setInterval(() => {
+        if (
+          !this.connecting &&
+          !this.timer &&
+          Date.now() - this.lastEventAt > this.activityTimeout * 1000
+        ) {
+          this.log(
+            "log",
+            `attempting reconnect to kubernetes watch (${this.description}) due to inactivity timeout`
+          );
+          this.connect();
+        }
+      }, this.activityTimeout * 1000);
+    }
+  }
+
+  stop() {
+    this.running = false;
+    this.abort();
+    this.connecting = false;
+    clearInterval(this.activityInterval);
+    this.activityInterval = null;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.policy.reset();
+    this.metrics.connected = false;
+
+    // events may be missed while stopped, list again when restarted
+    if (this.listing) {
+      this.store.synced = false;
+    }
+  }
+
+  /**
+   * list again (the differences are sent as events) or, without list, watch
+   * without a resourceVersion (the current objects are sent as ADDED events)
+   */
+  resync() {
+    if (this.listing) {
+      this.store.synced = false;
+    } else {
+      this.resourceVersion = null;
+      this.forcedResourceVersion = null;
+    }
+
+    if (this.running) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.connect();
+    }
+  }
+
+  /**
+   * end the current watch request, its callbacks are ignored from now on
+   */
+  abort() {
+    this.generation++;
+    if (this.request) {
+      this.request.abort();
+      this.request = null;
+    }
+  }
+
+  setState(state, text = "") {
+    this.state = state;
+    this.stateText = text;
+    if (this.handler.onStatus) {
+      this.handler.onStatus(state, text);
+    }
+  }
+
+  log(level, message) {
+    if (this.handler.onLog) {
+      this.handler.onLog(level, message);
+    }
+  }
+
+  /**
+   * send an event to the handler, seed events are those of the first list
+   *
+   * @param {*} type
+   * @param {*} object
+   * @param {*} previous
+   * @param {*} seed
+   */
+  dispatch(type, object, previous, seed = false) {
+    if (this.handler.onEvent) {
+      return this.handler.onEvent(type, object, previous);
+    }
+  }
+
+  syncedObject() {
+    return {
+      kind: this.listKind,
+      apiVersion: this.listApiVersion,
+      metadata: { resourceVersion: this.store.resourceVersion },
+      count: this.store.size
+    };
+  }
+
+  /**
+   * @param {*} generation the connection listing, a newer one lists itself
+   */
+  async list(generation) {
+    this.log("log", `listing ${this.description} to seed informer`);
+
+    const res = await this.kc.makePaginatedHttpRestRequest({
+      topic: this.endpoint,
+      payload: { limit: this.pageSize },
+      kube: { impersonate: this.impersonate }
+    });
+
+    if (res.statusCode != 200) {
+      const err = new Error(
+        `failed to list ${this.endpoint} - code: ${res.statusCode}, message: ${
+          res.body ? res.body.message : ""
+        }`
+      );
+      err.statusCode = res.statusCode;
+      throw err;
+    }
+
+    if (generation != this.generation) {
+      return;
+    }
+
+    // items of a List do not include kind/apiVersion
+    const kind = res.body.kind.replace(/List$/, "");
+    const items = res.body.items.map(item => {
+      item.kind = item.kind || kind;
+      item.apiVersion = item.apiVersion || res.body.apiVersion;
+      return item;
+    });
+
+    const seed = !this.seeded;
+    const events = this.store.replace(items);
+    this.store.resourceVersion = res.body.metadata.resourceVersion;
+    this.resourceVersion = this.store.resourceVersion;
+    this.metrics.resourceVersion = this.store.resourceVersion;
+    this.store.synced = true;
+    this.seeded = true;
+    this.listKind = res.body.kind;
+    this.listApiVersion = res.body.apiVersion;
+
+    for (const event of events) {
+      await this.dispatch(event.type, event.object, undefined, seed);
+    }
+    await this.dispatch("SYNCED", this.syncedObject(), undefined, true);
+  }
+
+  /**
+   * the resourceVersion of the collection right now, null if unknown
+   */
+  async currentResourceVersion() {
+    try {
+      const res = await this.kc.makeHttpRestRequest({
+        topic: this.endpoint,
+        payload: { limit: 1 },
+        kube: { impersonate: this.impersonate }
+      });
+
+      if (res.statusCode == 200) {
+        return res.body.metadata.resourceVersion;
+      }
+    } catch (err) {
+      this.log("error", err.message);
+    }
+
+    return null;
+  }
+
+  /**
+   * https://kubernetes.io/docs/reference/using-api/api-concepts/#resource-versions
+   * 0 vs null have special meaning with watches, carefully choose
+   */
+  async resolveResourceVersion() {
+    if (this.listing) {
+      return this.store.resourceVersion;
+    }
+
+    if (this.forcedResourceVersion !== undefined) {
+      this.initialResourceVersion = this.forcedResourceVersion;
+      this.forcedResourceVersion = undefined;
+    } else if (this.resourceVersion) {
+      return this.resourceVersion;
+    } else if (this.gone) {
+      switch (this.goneResourceVersionStrategy) {
+        case "ZERO":
+          this.initialResourceVersion = 0;
+          break;
+        case "NULL":
+          this.initialResourceVersion = null;
+          break;
+        case "CURRENT":
+        default:
+          this.initialResourceVersion = await this.currentResourceVersion();
+          break;
+      }
+    } else if (this.initialResourceVersion === undefined) {
+      const restored = this.restore ? this.restore() : undefined;
+      switch (this.initialResourceVersionStrategy) {
+        case "CURRENT":
+          this.initialResourceVersion = await this.currentResourceVersion();
+          break;
+        case "NULL":
+          this.initialResourceVersion = null;
+          break;
+        case "ZERO":
+          this.initialResourceVersion = 0;
+          break;
+        case "RESTORE-NULL":
+          this.initialResourceVersion =
+            restored !== undefined ? restored || null : null;
+          break;
+        case "RESTORE-ZERO":
+          this.initialResourceVersion =
+            restored !== undefined ? restored || null : 0;
+          break;
+        case "RESTORE-CURRENT":
+        default:
+          this.initialResourceVersion =
+            restored !== undefined
+              ? restored || null
+              : await this.currentResourceVersion();
+          break;
+      }
+    }
+    this.gone = false;
+
+    // resourceVersions are opaque (non-empty) strings
+    const resourceVersion = this.initialResourceVersion;
+    if (
+      resourceVersion !== null &&
+      resourceVersion !== 0 &&
+      !(typeof resourceVersion == "string" && resourceVersion.length > 0)
+    ) {
+      this.initialResourceVersion = null;
+    }
+
+    return this.initialResourceVersion;
+  }
+
+  async connect() {
+    if (!this.running) {
+      return;
+    }
+
+    this.abort();
+    const generation = this.generation;
+    this.connecting = true;
+    // only the response of this connection classifies its failure
+    this.statusCode = null;
+    this.setState("connecting");
+
+    let resourceVersion;
+    try {
+      // the watch itself does not wait for (async) authenticators
+      await this.kc.refreshCredentials();
+
+      if (this.listing && !this.store.synced && generation == this.generation) {
+        await this.list(generation);
+      }
+
+      // restarted while preparing
+      if (generation != this.generation) {
+        return;
+      }
+
+      resourceVersion = await this.resolveResourceVersion();
+    } catch (err) {
+      if (generation == this.generation) {
+        this.connecting = false;
+        this.setState("error", err.message);
+        this.scheduleReconnect(err);
+      }
+      return;
+    }
+
+    // stopped or restarted while preparing
+    if (!this.running || generation != this.generation) {
+      return;
+    }
+
+    this.log(
+      "log",
+      `watching ${this.description} from resourceVersion: ${resourceVersion}`
+    );
+    if (resourceVersion) {
+      this.metrics.resourceVersion = resourceVersion;
+    }
+
+    this.lastEventAt = Date.now();
+    const request = await this.watch.watch(
+      this.endpoint,
+      { resourceVersion, allowWatchBookmarks: true },
+      (type, object) => {
+        if (generation == this.generation) {
+          this.handleEvent(type, object);
+        }
+      },
+      err => {
+        if (generation != this.generation) {
+          return;
+        }
+
+        this.connecting = false;
+        this.request = null;
+        this.metrics.connected = false;
+        if (err) {
+          err.statusCode = err.statusCode || this.statusCode;
+        }
+        this.setState("disconnected", err ? String(err) : "");
+        this.scheduleReconnect(err);
+      }
+    );
+
+    if (generation != this.generation) {
+      request.abort();
+      return;
+    }
+
+    this.request = request;
+    request.on("error", err => {});
+    request.on("response", response => {
+      this.connecting = false;
+      this.statusCode = response.statusCode;
+      if (response.statusCode == 200) {
+        this.policy.reset();
+        this.credentialsRefreshed = false;
+        this.metrics.connected = true;
+        this.setState("connected");
+      }
+    });
+  }
+
+  handleEvent(type, object) {
+    if (type === undefined || object === undefined) {
+      return;
+    }
+
+    this.lastEventAt = Date.now();
+    this.metrics.event(
+      type,
+      object.metadata ? object.metadata.resourceVersion : null
+    );
+
+    if (type == "ERROR") {
+      // list again or apply the gone strategy when reconnecting
+      if (object.code == 410) {
+        this.metrics.gone++;
+        this.gone = true;
+        this.resourceVersion = null;
+        if (this.listing) {
+          this.store.synced = false;
+        }
+      }
+
+      this.dispatch(type, object);
+      return;
+    }
+
+    // resourceVersions are opaque, events arrive in order
+    if (object.metadata && object.metadata.resourceVersion) {
+      this.resourceVersion = object.metadata.resourceVersion;
+      if (this.store) {
+        this.store.resourceVersion = this.resourceVersion;
+      }
+    }
+
+    if (type == "BOOKMARK") {
+      this.dispatch(type, object);
+      return;
+    }
+
+    const previous = this.store ? this.store.apply(type, object) : undefined;
+    this.dispatch(type, object, previous);
+  }
+
+  /**
+   * reconnect after a delay determined by the reconnect policy
+   *
+   * permanent failures (tls, 401, 403, 404) and exceeding the max attempts
+   * stop the watch, a 401 is only considered permanent if it persists after
+   * refreshing the credentials
+   *
+   * @param {*} err
+   */
+  scheduleReconnect(err) {
+    if (!this.running || this.timer) {
+      return;
+    }
+
+    const failure = classifyError(err);
+
+    // credentials may have been rotated, refresh them and retry once
+    if (failure.type == "unauthorized" && !this.credentialsRefreshed) {
+      this.credentialsRefreshed = true;
+      this.log(
+        "log",
+        `refreshing credentials for kubernetes watch (${this.description}) due to 401`
+      );
+      this.metrics.reconnects++;
+      this.timer = setTimeout(async () => {
+        try {
+          await this.kc.refreshCredentials(true);
+        } catch (err) {
+          this.log("error", err.message);
+        }
+        this.timer = null;
+        this.connect();
+      }, 0);
+      return;
+    }
+
+    if (failure.permanent || this.policy.exhausted) {
+      const reason = failure.permanent
+        ? `permanent ${failure.type} failure`
+        : `giving up after ${this.policy.attempt} attempts`;
+      this.stop();
+      this.setState("failed", `${reason}${err ? `: ${err.message}` : ""}`);
+      return;
+    }
+
+    this.log(
+      "log",
+      `attempting connect to kubernetes watch (${
+        this.description
+      }) due to ${reconnectReason(err)}`
+    );
+    const delay = this.policy.next();
+    const next = new Date(Date.now() + delay);
+    this.metrics.reconnects++;
+    this.setState(
+      "reconnecting",
+      `reconnect attempt ${this.policy.attempt} at ${next.toLocaleTimeString()}`
+    );
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.connect();
+    }, delay);
+  }
+}
+
+/**
+ * A single watch of an endpoint shared by many subscribers
+ *
+ * the options (ie: the resourceVersion strategies) of the creator apply.
+ * Objects are only kept once a subscriber needs them, subscribers requesting
+ * a replay make the watch list the endpoint so that subscribers joining late
+ * receive the current state.
+ *
+ * subscribers are { replay, previous, onEvent(type, object, previous), onStatus(state, text), onLog(level, message) }
+ * where previous requests the previous version of objects (see
+ * WatchConnection for the rest)
+ *
+ * the objects are shared by all subscribers and must not be modified
+ */
+class SharedWatch extends WatchConnection {
+  /**
+   * @param {*} kc KubeConfig
+   * @param {*} endpoint path (including selectors)
+   * @param {*} options see WatchConnection (store and list are determined by the subscribers)
+   */
+  constructor(kc, endpoint, options = {}) {
+    super(
+      kc,
+      endpoint,
+      Object.assign({}, options, { store: null, list: false })
+    );
+    this.subscribers = new Set();
+  }
+
+  get size() {
+    return this.subscribers.size;
+  }
+
+  /**
+   * add a subscriber, the watch is started if not running
+   *
+   * with replay the subscriber receives ADDED events for the current state
+   * followed by SYNCED (immediately if already listed)
+   *
+   * @param {*} subscriber
+   */
+  subscribe(subscriber) {
+    this.subscribers.add(subscriber);
+    this.require(subscriber);
+    subscriber.onStatus(this.state, this.stateText);
+
+    if (subscriber.replay && this.seeded) {
+      this.store.list().forEach(object => {
+        subscriber.onEvent("ADDED", object);
+      });
+      subscriber.onEvent("SYNCED", this.syncedObject());
+    }
+
+    if (!this.running) {
+      this.start();
+    }
+  }
+
+  unsubscribe(subscriber) {
+    this.subscribers.delete(subscriber);
+  }
+
+  /**
+   * keep the objects and list the endpoint once a subscriber needs them, a
+   * running watch lists on reconnect (the list seeds only the subscribers
+   * requesting a replay)
+   *
+   * @param {*} subscriber
+   */
+  require(subscriber) {
+    if ((subscriber.replay || subscriber.previous) && !this.store) {
+      this.store = new ObjectStore();
+    }
+
+    if (subscriber.replay && !this.listing) {
+      this.listing = true;
+      this.store.clear();
+      if (this.running) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.connect();
+      }
+    }
+  }
+
+  setState(state, text = "") {
+    this.state = state;
+    this.stateText = text;
+    this.subscribers.forEach(subscriber => {
+      subscriber.onStatus(state, text);
+    });
+  }
+
+  /**
+   * logged once, by the oldest subscriber
+   *
+   * @param {*} level
+   * @param {*} message
+   */
+  log(level, message) {
+    for (const subscriber of this.subscribers) {
+      if (subscriber.onLog) {
+        subscriber.onLog(level, message);
+        return;
+      }
+    }
+  }
+
+  /**
+   * send an event to the subscribers, seed events (the initial list) only to
+   * those requesting a replay
+   *
+   * @param {*} type
+   * @param {*} object
+   * @param {*} previous
+   * @param {*} seed
+   */
+  dispatch(type, object, previous, seed = false) {
+    const results = [];
+    this.subscribers.forEach(subscriber => {
+      if (seed && !subscriber.replay) {
+        return;
+      }
+      results.push(subscriber.onEvent(type, object, previous));
+    });
+
+    return Promise.all(results);
+  }
+}
+
+module.exports.SharedWatch = SharedWatch;
+module.exports.WatchConnection = WatchConnection;
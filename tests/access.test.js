@@ -0,0 +1,221 @@
+"use strict";
+const assert = require("assert");
+const access = require("../src/access");
+
+const DEFINITIONS = {
+  Deployment: {
+    apiVersion: "apps/v1",
+    resource: { name: "deployments", namespaced: true }
+  },
+  Pod: { apiVersion: "v1", resource: { name: "pods", namespaced: true } },
+  Node: { apiVersion: "v1", resource: { name: "nodes", namespaced: false } }
+};
+
+/**
+ * KubeConfig stand-in answering reviews with the given status
+ *
+ * @param {*} status
+ * @param {*} statusCode
+ */
+function fakeClient(status, statusCode = 201) {
+  const requests = [];
+  return {
+    requests,
+    async getAPIResource(kind) {
+      return DEFINITIONS[kind];
+    },
+    async makeHttpRestRequest(msg) {
+      requests.push(msg);
+      if (statusCode != 201) {
+        return { statusCode, body: { message: "forbidden" } };
+      }
+      return {
+        statusCode,
+        body: Object.assign({}, msg.payload, { status })
+      };
+    }
+  };
+}
+
+describe("access", function() {
+  describe("buildResourceAttributes", function() {
+    it("resolves kinds to the resource and group", async function() {
+      const kc = fakeClient();
+      assert.deepStrictEqual(
+        await access.buildResourceAttributes(kc, {
+          verb: "patch",
+          kind: "Deployment",
+          namespace: "default",
+          name: "web",
+          subresource: "scale"
+        }),
+        {
+          verb: "patch",
+          group: "apps",
+          resource: "deployments",
+          version: "v1",
+          subresource: "scale",
+          name: "web",
+          namespace: "default"
+        }
+      );
+    });
+
+    it("drops the namespace of cluster scoped kinds", async function() {
+      const attributes = await access.buildResourceAttributes(fakeClient(), {
+        verb: "list",
+        kind: "Node",
+        namespace: "default"
+      });
+      assert.deepStrictEqual(attributes, {
+        verb: "list",
+        group: "",
+        resource: "nodes",
+        version: "v1"
+      });
+    });
+
+    it("accepts a resource and group directly", async function() {
+      const attributes = await access.buildResourceAttributes(fakeClient(), {
+        verb: "get",
+        resource: "widgets",
+        apiVersion: "example.com/v1alpha1"
+      });
+      assert.deepStrictEqual(attributes, {
+        verb: "get",
+        group: "example.com",
+        resource: "widgets",
+        version: "v1alpha1"
+      });
+    });
+
+    it("rejects incomplete specs", async function() {
+      const kc = fakeClient();
+      await assert.rejects(
+        access.buildResourceAttributes(kc, { kind: "Pod" }),
+        /missing verb/
+      );
+      await assert.rejects(
+        access.buildResourceAttributes(kc, { verb: "get" }),
+        /missing kind or resource/
+      );
+      await assert.rejects(
+        access.buildResourceAttributes(kc, {
+          verb: "get",
+          kind: "Widget",
+          apiVersion: "example.com/v1"
+        }),
+        /unknown kind: Widget \(example.com\/v1\)/
+      );
+    });
+  });
+
+  describe("checkAccess", function() {
+    it("reviews the current credentials", async function() {
+      const kc = fakeClient({ allowed: true, reason: "RBAC: allowed" });
+      const kube = { impersonate: { user: "jane" } };
+      const result = await access.checkAccess(
+        kc,
+        { verb: "get", kind: "Pod", namespace: "default" },
+        kube
+      );
+
+      assert.strictEqual(kc.requests.length, 1);
+      assert.strictEqual(
+        kc.requests[0].topic,
+        "/apis/authorization.k8s.io/v1/selfsubjectaccessreviews"
+      );
+      assert.strictEqual(kc.requests[0].method, "POST");
+      assert.strictEqual(kc.requests[0].kube, kube);
+      assert.deepStrictEqual(kc.requests[0].payload, {
+        apiVersion: "authorization.k8s.io/v1",
+        kind: "SelfSubjectAccessReview",
+        spec: {
+          resourceAttributes: {
+            verb: "get",
+            group: "",
+            resource: "pods",
+            version: "v1",
+            namespace: "default"
+          }
+        }
+      });
+      assert.deepStrictEqual(result, {
+        allowed: true,
+        denied: false,
+        reason: "RBAC: allowed",
+        evaluationError: "",
+        resourceAttributes: kc.requests[0].payload.spec.resourceAttributes,
+        user: null,
+        groups: []
+      });
+    });
+
+    it("reviews other users and groups", async function() {
+      const kc = fakeClient({ allowed: false, denied: true });
+      const result = await access.checkAccess(kc, {
+        verb: "delete",
+        kind: "Deployment",
+        namespace: "prod",
+        user: "jane",
+        groups: ["dev"],
+        uid: "1"
+      });
+
+      assert.strictEqual(
+        kc.requests[0].topic,
+        "/apis/authorization.k8s.io/v1/subjectaccessreviews"
+      );
+      const spec = kc.requests[0].payload.spec;
+      assert.strictEqual(kc.requests[0].payload.kind, "SubjectAccessReview");
+      assert.strictEqual(spec.user, "jane");
+      assert.deepStrictEqual(spec.groups, ["dev"]);
+      assert.strictEqual(spec.uid, "1");
+      assert.strictEqual(spec.resourceAttributes.resource, "deployments");
+      assert.strictEqual(result.allowed, false);
+      assert.strictEqual(result.denied, true);
+      assert.strictEqual(result.user, "jane");
+    });
+
+    it("treats a missing status as not allowed", async function() {
+      const result = await access.checkAccess(fakeClient(undefined), {
+        verb: "get",
+        resource: "pods"
+      });
+      assert.strictEqual(result.allowed, false);
+      assert.strictEqual(result.denied, false);
+    });
+
+    it("fails on api errors", async function() {
+      await assert.rejects(
+        access.checkAccess(fakeClient({}, 403), { verb: "get", kind: "Pod" }),
+        err => {
+          assert.strictEqual(err.statusCode, 403);
+          assert.match(err.message, /SelfSubjectAccessReview - code: 403/);
+          return true;
+        }
+      );
+    });
+  });
+
+  describe("listRules", function() {
+    it("lists the rules of a namespace", async function() {
+      const kc = fakeClient({
+        resourceRules: [{ verbs: ["get"], resources: ["pods"] }],
+        incomplete: true
+      });
+      const result = await access.listRules(kc);
+
+      assert.deepStrictEqual(kc.requests[0].payload.spec, {
+        namespace: "default"
+      });
+      assert.deepStrictEqual(result, {
+        namespace: "default",
+        resourceRules: [{ verbs: ["get"], resources: ["pods"] }],
+        nonResourceRules: [],
+        incomplete: true,
+        evaluationError: ""
+      });
+    });
+  });
+});
@@ -0,0 +1,277 @@
+"use strict";
+const assert = require("assert");
+const { KubeConfig } = require("../src/config");
+const { fakeWatch, flush, pod, podList } = require("./helpers/kube");
+
+function client(namespace) {
+  const kc = new KubeConfig();
+  kc.loadFromOptions({
+    clusters: [{ name: "cluster", server: "http://127.0.0.1:1" }],
+    users: [{ name: "user", token: "token" }],
+    contexts: [
+      { name: "context", cluster: "cluster", user: "user", namespace }
+    ],
+    currentContext: "context"
+  });
+  kc.getAPIResource = async kind => {
+    return {
+      prefix: kind == "Deployment" ? "/apis" : "/api",
+      apiVersion: kind == "Deployment" ? "apps/v1" : "v1",
+      resource: {
+        name: kind == "Deployment" ? "deployments" : "namespaces",
+        namespaced: kind == "Deployment"
+      }
+    };
+  };
+  return kc;
+}
+
+/**
+ * discovery documents of a cluster with the core and apps groups
+ */
+const DISCOVERY = {
+  "/api": { kind: "APIVersions", versions: ["v1"] },
+  "/apis": {
+    kind: "APIGroupList",
+    groups: [
+      {
+        name: "apps",
+        versions: [{ groupVersion: "apps/v1", version: "v1" }],
+        preferredVersion: { groupVersion: "apps/v1", version: "v1" }
+      }
+    ]
+  },
+  "/api/v1": {
+    kind: "APIResourceList",
+    groupVersion: "v1",
+    resources: [
+      {
+        name: "pods",
+        singularName: "pod",
+        kind: "Pod",
+        namespaced: true,
+        shortNames: ["po"]
+      },
+      { name: "pods/log", kind: "Pod", namespaced: true },
+      { name: "pods/status", kind: "Pod", namespaced: true }
+    ]
+  },
+  "/apis/apps/v1": {
+    kind: "APIResourceList",
+    groupVersion: "apps/v1",
+    resources: [
+      {
+        name: "deployments",
+        singularName: "deployment",
+        kind: "Deployment",
+        namespaced: true,
+        shortNames: ["deploy"]
+      },
+      { name: "deployments/scale", kind: "Scale", namespaced: true }
+    ]
+  }
+};
+
+function discoveryClient() {
+  const kc = client("ctx");
+  delete kc.getAPIResource;
+  kc.requests = [];
+  kc.makeHttpRestRequest = async msg => {
+    kc.requests.push(msg.topic);
+    if (!DISCOVERY[msg.topic]) {
+      return { statusCode: 404, body: { message: "not found" } };
+    }
+    return {
+      statusCode: 200,
+      body: JSON.parse(JSON.stringify(DISCOVERY[msg.topic]))
+    };
+  };
+  return kc;
+}
+
+describe("KubeConfig", function() {
+  const deployment = {
+    apiVersion: "apps/v1",
+    kind: "Deployment",
+    metadata: { name: "foo" }
+  };
+
+  describe("buildResourceSelfLink", function() {
+    it("uses the namespace of the object", async function() {
+      const object = JSON.parse(JSON.stringify(deployment));
+      object.metadata.namespace = "bar";
+      assert.strictEqual(
+        await client("ctx").buildResourceSelfLink(object),
+        "/apis/apps/v1/namespaces/bar/deployments/foo"
+      );
+    });
+
+    it("defaults to the namespace of the context", async function() {
+      assert.strictEqual(
+        await client("ctx").buildResourceSelfLink(deployment),
+        "/apis/apps/v1/namespaces/ctx/deployments/foo"
+      );
+      assert.strictEqual(
+        await client().buildResourceSelfLink(deployment),
+        "/apis/apps/v1/namespaces/default/deployments/foo"
+      );
+    });
+
+    it("ignores the namespace of cluster scoped kinds", async function() {
+      assert.strictEqual(
+        await client("ctx").buildResourceSelfLink("Namespace", "v1", "foo"),
+        "/api/v1/namespaces/foo"
+      );
+    });
+  });
+
+  describe("makeHttpRestRequest", function() {
+    it("applies manifests without a namespace to the context namespace", async function() {
+      const kc = client("ctx");
+      let options;
+      kc.sendHttpRequest = async opts => {
+        options = opts;
+        return { statusCode: 200, body: {} };
+      };
+      await kc.makeHttpRestRequest({ method: "APPLY", payload: deployment });
+      assert.strictEqual(options.method, "PATCH");
+      assert.strictEqual(
+        new URL(options.url).pathname,
+        "/apis/apps/v1/namespaces/ctx/deployments/foo"
+      );
+    });
+  });
+
+  describe("getAPIResource", function() {
+    it("resolves the kind and its aliases", async function() {
+      const kc = discoveryClient();
+      for (const alias of ["Deployment", "deployments", "deploy", "DEPLOY"]) {
+        const definition = await kc.getAPIResource(alias);
+        assert.strictEqual(definition.prefix, "/apis");
+        assert.strictEqual(definition.apiVersion, "apps/v1");
+        assert.strictEqual(definition.resource.kind, "Deployment");
+        assert.deepStrictEqual(definition.subresources, ["scale"]);
+      }
+
+      const pod = await kc.getAPIResource("po");
+      assert.strictEqual(pod.prefix, "/api");
+      assert.strictEqual(pod.resource.name, "pods");
+      assert.deepStrictEqual(pod.subresources, ["log", "status"]);
+    });
+
+    it("only discovers the group of a full apiVersion", async function() {
+      const kc = discoveryClient();
+      const definition = await kc.getAPIResource("deploy", "apps/v1");
+      assert.strictEqual(definition.resource.kind, "Deployment");
+      assert.deepStrictEqual(kc.requests, ["/apis/apps/v1"]);
+    });
+
+    it("completes a version without group", async function() {
+      const kc = discoveryClient();
+      const definition = await kc.getAPIResource("Deployment", "v1");
+      assert.strictEqual(definition.apiVersion, "apps/v1");
+    });
+
+    it("rejects unknown kinds", async function() {
+      const kc = discoveryClient();
+      await assert.rejects(kc.getAPIResource("Widget"), /unknown kind: Widget/);
+      await assert.rejects(
+        kc.getAPIResource("Pod", "apps/v1"),
+        /unknown kind: Pod \(apps\/v1\)/
+      );
+      await assert.rejects(kc.getAPIResource("log"), /unknown kind: log/);
+    });
+
+    it("is used by the link builders", async function() {
+      const kc = discoveryClient();
+      assert.strictEqual(
+        await kc.buildResourceSelfLink("deploy", undefined, "web", "prod"),
+        "/apis/apps/v1/namespaces/prod/deployments/web"
+      );
+      assert.strictEqual(
+        await kc.buildResourceListLink("po", undefined, "prod"),
+        "/api/v1/namespaces/prod/pods"
+      );
+      assert.strictEqual(
+        await kc.buildResourceLink({ kind: "pods", namespace: "prod" }),
+        "/api/v1/namespaces/prod/pods"
+      );
+    });
+  });
+
+  describe("watchObject", function() {
+    let kc;
+    let watch;
+    let events;
+    let errors;
+    let handle;
+
+    beforeEach(async function() {
+      kc = client("ctx");
+      watch = fakeWatch();
+      kc.createWatch = () => watch;
+      kc.makeHttpRestRequest = async () => podList("5", [pod("ctx", "foo")]);
+      kc.refreshCredentials = async force => {
+        kc.refreshed = force;
+      };
+      events = [];
+      errors = [];
+      handle = await kc.watchObject(
+        "/api/v1/namespaces/ctx/pods/foo",
+        (type, object) => events.push(type),
+        err => errors.push(err)
+      );
+    });
+
+    afterEach(function() {
+      handle.stop();
+    });
+
+    it("syncs and then watches from the listed resourceVersion", function() {
+      assert.deepStrictEqual(events, ["SYNC"]);
+      assert.strictEqual(watch.calls[0].query.resourceVersion, "5");
+      watch.calls[0].respond(200);
+      watch.calls[0].event("MODIFIED", pod("ctx", "foo", "6"));
+      assert.deepStrictEqual(events, ["SYNC", "MODIFIED"]);
+    });
+
+    it("retries network errors with backoff", async function() {
+      const err = new Error("socket hang up");
+      err.code = "ECONNRESET";
+      watch.calls[0].end(err);
+      await flush();
+      assert.strictEqual(errors.length, 0);
+      assert.strictEqual(handle.stopped, false);
+      assert.ok(handle.timer);
+    });
+
+    it("stops on permanent errors", async function() {
+      watch.calls[0].respond(403);
+      watch.calls[0].end(new Error("Forbidden"));
+      await flush();
+      assert.strictEqual(handle.stopped, true);
+      assert.strictEqual(errors.length, 1);
+      assert.strictEqual(errors[0].statusCode, 403);
+      assert.strictEqual(errors[0].type, "forbidden");
+    });
+
+    it("refreshes the credentials once on 401", async function() {
+      watch.calls[0].respond(401);
+      watch.calls[0].end(new Error("Unauthorized"));
+      await flush();
+      assert.strictEqual(kc.refreshed, true);
+      assert.strictEqual(errors.length, 0);
+
+      // the next attempt (after the backoff) fails as well
+      this.timeout(5000);
+      while (watch.calls.length < 2) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      watch.calls[1].respond(401);
+      watch.calls[1].end(new Error("Unauthorized"));
+      await flush();
+      assert.strictEqual(errors.length, 1);
+      assert.strictEqual(errors[0].type, "unauthorized");
+    });
+  });
+});
@@ -0,0 +1,122 @@
+"use strict";
+const assert = require("assert");
+const { diff, parsePath, parsePaths } = require("../src/diff");
+
+describe("diff", function() {
+  describe("parsePath", function() {
+    it("splits dotted and bracketed segments", function() {
+      assert.deepStrictEqual(
+        parsePath("status.conditions[*].lastHeartbeatTime"),
+        ["status", "conditions", "*", "lastHeartbeatTime"]
+      );
+      assert.deepStrictEqual(parsePath(" metadata..name "), [
+        "metadata",
+        "name"
+      ]);
+    });
+  });
+
+  describe("parsePaths", function() {
+    it("accepts comma and newline separated lists", function() {
+      assert.deepStrictEqual(parsePaths("a.b, c\nd[0]"), [
+        ["a", "b"],
+        ["c"],
+        ["d", "0"]
+      ]);
+    });
+
+    it("accepts arrays and empty values", function() {
+      assert.deepStrictEqual(parsePaths(["a", ""]), [["a"]]);
+      assert.deepStrictEqual(parsePaths(undefined), []);
+    });
+  });
+
+  it("returns no operations for equal documents", function() {
+    assert.deepStrictEqual(
+      diff({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }),
+      []
+    );
+  });
+
+  it("reports added, removed and replaced values", function() {
+    assert.deepStrictEqual(
+      diff(
+        { spec: { replicas: 1, paused: true } },
+        { spec: { replicas: 2, selector: "app" } }
+      ),
+      [
+        {
+          op: "replace",
+          path: "/spec/replicas",
+          value: 2,
+          oldValue: 1
+        },
+        { op: "remove", path: "/spec/paused", oldValue: true },
+        { op: "add", path: "/spec/selector", value: "app" }
+      ]
+    );
+  });
+
+  it("walks arrays by index", function() {
+    assert.deepStrictEqual(diff({ a: [1, 2] }, { a: [1, 3, 4] }), [
+      { op: "replace", path: "/a/1", value: 3, oldValue: 2 },
+      { op: "add", path: "/a/2", value: 4 }
+    ]);
+  });
+
+  it("replaces values changing between object and array", function() {
+    assert.deepStrictEqual(diff({ a: {} }, { a: [] }), [
+      { op: "replace", path: "/a", value: [], oldValue: {} }
+    ]);
+  });
+
+  it("escapes json pointer segments", function() {
+    assert.deepStrictEqual(
+      diff({ labels: {} }, { labels: { "app.io/a~b": "x" } }),
+      [{ op: "add", path: "/labels/app.io~1a~0b", value: "x" }]
+    );
+  });
+
+  it("skips ignored paths and their children", function() {
+    const previous = {
+      metadata: { resourceVersion: "1", name: "foo" },
+      status: {
+        conditions: [
+          { type: "Ready", lastHeartbeatTime: "t1" },
+          { type: "DiskPressure", lastHeartbeatTime: "t1" }
+        ]
+      }
+    };
+    const current = {
+      metadata: { resourceVersion: "2", name: "bar" },
+      status: {
+        conditions: [
+          { type: "Ready", lastHeartbeatTime: "t2" },
+          { type: "MemoryPressure", lastHeartbeatTime: "t2" }
+        ]
+      }
+    };
+
+    assert.deepStrictEqual(
+      diff(
+        previous,
+        current,
+        "metadata.resourceVersion, status.conditions[*].lastHeartbeatTime"
+      ),
+      [
+        {
+          op: "replace",
+          path: "/metadata/name",
+          value: "bar",
+          oldValue: "foo"
+        },
+        {
+          op: "replace",
+          path: "/status/conditions/1/type",
+          value: "MemoryPressure",
+          oldValue: "DiskPressure"
+        }
+      ]
+    );
+  });
+});
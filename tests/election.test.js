@@ -0,0 +1,172 @@
+"use strict";
+const assert = require("assert");
+const { LeaderElector } = require("../src/election");
+
+const LEASE = "/apis/coordination.k8s.io/v1/namespaces/default/leases/lock";
+
+/**
+ * KubeConfig stand-in keeping a single Lease, PUT is conditional on the
+ * resourceVersion like the api server
+ */
+function fakeClient() {
+  const kc = { lease: null, requests: [], resourceVersion: 0 };
+  kc.makeHttpRestRequest = async msg => {
+    const method = msg.method || "GET";
+    kc.requests.push(`${method} ${msg.topic}`);
+    const copy = object => JSON.parse(JSON.stringify(object));
+
+    switch (method) {
+      case "GET":
+        if (!kc.lease) {
+          return { statusCode: 404, body: { message: "not found" } };
+        }
+        return { statusCode: 200, body: copy(kc.lease) };
+      case "POST":
+      case "PUT": {
+        if (method == "POST" && kc.lease) {
+          return { statusCode: 409, body: { message: "exists" } };
+        }
+        if (
+          method == "PUT" &&
+          msg.payload.metadata.resourceVersion !=
+            kc.lease.metadata.resourceVersion
+        ) {
+          return { statusCode: 409, body: { message: "conflict" } };
+        }
+        kc.lease = copy(msg.payload);
+        kc.lease.metadata.resourceVersion = String(++kc.resourceVersion);
+        return { statusCode: method == "POST" ? 201 : 200, body: kc.lease };
+      }
+    }
+  };
+  return kc;
+}
+
+function lease(holderIdentity, renewTime, leaseDurationSeconds = 15) {
+  return {
+    metadata: { name: "lock", namespace: "default", resourceVersion: "1" },
+    spec: {
+      holderIdentity,
+      leaseDurationSeconds,
+      renewTime: new Date(renewTime).toISOString(),
+      leaseTransitions: 1
+    }
+  };
+}
+
+describe("LeaderElector", function() {
+  let kc;
+  let elector;
+
+  beforeEach(function() {
+    kc = fakeClient();
+    elector = new LeaderElector(kc, { name: "lock", identity: "me" });
+  });
+
+  afterEach(async function() {
+    await elector.stop();
+  });
+
+  describe("tryAcquireOrRenew", function() {
+    it("creates a missing lease", async function() {
+      assert.strictEqual(await elector.tryAcquireOrRenew(), true);
+      assert.deepStrictEqual(kc.requests, [
+        `GET ${LEASE}`,
+        "POST /apis/coordination.k8s.io/v1/namespaces/default/leases"
+      ]);
+      assert.strictEqual(kc.lease.spec.holderIdentity, "me");
+      assert.strictEqual(kc.lease.spec.leaseDurationSeconds, 15);
+      assert.match(kc.lease.spec.renewTime, /\.\d{6}Z$/);
+      assert.strictEqual(elector.holderIdentity, "me");
+    });
+
+    it("renews its own lease", async function() {
+      await elector.tryAcquireOrRenew();
+      const acquireTime = kc.lease.spec.acquireTime;
+      assert.strictEqual(await elector.tryAcquireOrRenew(), true);
+      assert.strictEqual(kc.lease.metadata.resourceVersion, "2");
+      assert.strictEqual(kc.lease.spec.acquireTime, acquireTime);
+      assert.strictEqual(kc.lease.spec.leaseTransitions, 0);
+    });
+
+    it("leaves a valid lease of another holder alone", async function() {
+      kc.lease = lease("other", Date.now());
+      assert.strictEqual(await elector.tryAcquireOrRenew(), false);
+      assert.strictEqual(kc.lease.spec.holderIdentity, "other");
+      assert.strictEqual(elector.holderIdentity, "other");
+    });
+
+    it("takes over an expired lease", async function() {
+      kc.lease = lease("other", Date.now() - 20000);
+      assert.strictEqual(await elector.tryAcquireOrRenew(), true);
+      assert.strictEqual(kc.lease.spec.holderIdentity, "me");
+      assert.strictEqual(kc.lease.spec.leaseTransitions, 2);
+      assert.ok(kc.lease.spec.acquireTime);
+    });
+
+    it("loses the race on conflicts", async function() {
+      kc.lease = lease("other", Date.now() - 20000);
+      const get = kc.makeHttpRestRequest;
+      kc.makeHttpRestRequest = async msg => {
+        const res = await get(msg);
+        // another candidate updates the lease in between
+        if (!msg.method) {
+          kc.lease.metadata.resourceVersion = "99";
+        }
+        return res;
+      };
+      assert.strictEqual(await elector.tryAcquireOrRenew(), false);
+    });
+
+    it("fails on api errors", async function() {
+      kc.makeHttpRestRequest = async () => {
+        return { statusCode: 403, body: { message: "forbidden" } };
+      };
+      await assert.rejects(elector.tryAcquireOrRenew(), /code: 403/);
+    });
+  });
+
+  describe("start/stop", function() {
+    it("emits leader and releases the lease on stop", async function() {
+      const events = [];
+      elector.on("leader", () => events.push("leader"));
+      elector.on("standby", () => events.push("standby"));
+      await new Promise(resolve => {
+        elector.once("leader", resolve);
+        elector.start();
+      });
+
+      await elector.stop();
+      assert.deepStrictEqual(events, ["leader", "standby"]);
+      assert.strictEqual(kc.lease.spec.holderIdentity, null);
+      assert.strictEqual(kc.lease.spec.leaseDurationSeconds, 1);
+    });
+
+    it("stays in standby while another candidate holds the lease", async function() {
+      kc.lease = lease("other", Date.now());
+      await new Promise(resolve => {
+        elector.once("standby", resolve);
+        elector.start();
+      });
+      assert.strictEqual(elector.isLeader, false);
+
+      // nothing to release
+      const requests = kc.requests.length;
+      await elector.stop();
+      assert.strictEqual(kc.requests.length, requests);
+      assert.strictEqual(kc.lease.spec.holderIdentity, "other");
+    });
+
+    it("emits errors and retries", async function() {
+      kc.makeHttpRestRequest = async () => {
+        throw new Error("ECONNREFUSED");
+      };
+      const err = await new Promise(resolve => {
+        elector.once("error", resolve);
+        elector.start();
+      });
+      assert.strictEqual(err.message, "ECONNREFUSED");
+      assert.ok(elector.timer);
+    });
+  });
+});
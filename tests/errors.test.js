@@ -0,0 +1,87 @@
+"use strict";
+const assert = require("assert");
+const { isRetryable, normalizeError } = require("../src/errors");
+
+describe("errors", function() {
+  describe("isRetryable", function() {
+    it("retries throttled requests of any method", function() {
+      assert.strictEqual(isRetryable("POST", 429), true);
+      assert.strictEqual(isRetryable("patch", 429), true);
+    });
+
+    it("retries network errors and 5xx of idempotent methods", function() {
+      assert.strictEqual(isRetryable("GET", null), true);
+      assert.strictEqual(isRetryable("delete", 503), true);
+      assert.strictEqual(isRetryable(undefined, 500), true);
+      assert.strictEqual(isRetryable("POST", 503), false);
+      assert.strictEqual(isRetryable("PATCH", null), false);
+    });
+
+    it("does not retry client errors", function() {
+      assert.strictEqual(isRetryable("GET", 404), false);
+      assert.strictEqual(isRetryable("PUT", 409), false);
+    });
+  });
+
+  describe("normalizeError", function() {
+    it("uses the Status of error responses", function() {
+      const error = normalizeError({
+        res: {
+          statusCode: 422,
+          body: {
+            kind: "Status",
+            message: "invalid",
+            reason: "Invalid",
+            details: { causes: [{ field: "spec.x", message: "bad" }] }
+          }
+        },
+        request: { method: "POST", url: "/api/v1/pods" }
+      });
+
+      assert.deepStrictEqual(error, {
+        statusCode: 422,
+        code: null,
+        reason: "Invalid",
+        message: "invalid",
+        causes: [{ field: "spec.x", message: "bad" }],
+        retryable: false,
+        request: { method: "POST", url: "/api/v1/pods" }
+      });
+    });
+
+    it("falls back to the status message of responses", function() {
+      const error = normalizeError({
+        res: { statusCode: 503, statusMessage: "Service Unavailable" }
+      });
+      assert.strictEqual(error.message, "Service Unavailable");
+      assert.strictEqual(error.retryable, true);
+      assert.deepStrictEqual(error.request, { method: "GET", url: "" });
+    });
+
+    it("normalizes network errors", function() {
+      const err = new Error("connect ECONNREFUSED");
+      err.code = "ECONNREFUSED";
+      const error = normalizeError({ err, request: { method: "DELETE" } });
+      assert.strictEqual(error.statusCode, null);
+      assert.strictEqual(error.code, "ECONNREFUSED");
+      assert.strictEqual(error.message, "connect ECONNREFUSED");
+      assert.strictEqual(error.retryable, true);
+    });
+
+    it("normalizes watch ERROR events", function() {
+      const error = normalizeError({
+        status: { code: 410, reason: "Expired", message: "too old" },
+        retryable: true
+      });
+      assert.strictEqual(error.statusCode, 410);
+      assert.strictEqual(error.reason, "Expired");
+      assert.strictEqual(error.retryable, true);
+    });
+
+    it("does not retry other errors", function() {
+      const error = normalizeError({ err: new Error("missing topic") });
+      assert.strictEqual(error.message, "missing topic");
+      assert.strictEqual(error.retryable, false);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+"use strict";
+const EventEmitter = require("events");
+
+/**
+ * Stand-in of k8s.Watch, every watch() call is recorded as
+ * { path, query, request, event(type, object), respond(statusCode), end(err) }
+ */
+function fakeWatch() {
+  const watch = { calls: [] };
+  watch.watch = function(path, query, callback, done) {
+    const request = new EventEmitter();
+    const call = { path, query: Object.assign({}, query), request };
+    request.abort = () => {
+      call.aborted = true;
+    };
+    request.destroy = () => {};
+    call.event = (type, object) => {
+      callback(type, object);
+    };
+    call.respond = statusCode => {
+      request.emit("response", { statusCode });
+    };
+    call.end = err => {
+      done(err);
+    };
+    watch.calls.push(call);
+    return request;
+  };
+
+  return watch;
+}
+
+/**
+ * a List response as returned by makePaginatedHttpRestRequest
+ *
+ * @param {*} resourceVersion
+ * @param {*} items
+ */
+function podList(resourceVersion, items) {
+  return {
+    statusCode: 200,
+    body: {
+      kind: "PodList",
+      apiVersion: "v1",
+      metadata: { resourceVersion },
+      items: JSON.parse(JSON.stringify(items))
+    }
+  };
+}
+
+function pod(namespace, name, resourceVersion = "1") {
+  return { metadata: { namespace, name, resourceVersion } };
+}
+
+/**
+ * let pending callbacks and promises run
+ */
+function flush() {
+  return new Promise(resolve => {
+    setImmediate(resolve);
+  });
+}
+
+/**
+ * let timers of the given milliseconds fire
+ *
+ * @param {*} ms
+ */
+function sleep(ms) {
+  return new Promise(resolve => {
+    setTimeout(resolve, ms);
+  });
+}
+
+module.exports.fakeWatch = fakeWatch;
+module.exports.flush = flush;
+module.exports.pod = pod;
+module.exports.podList = podList;
+module.exports.sleep = sleep;
@@ -0,0 +1,110 @@
+"use strict";
+const EventEmitter = require("events");
+
+/**
+ * Minimal stand-in of the Node-RED runtime API used by the nodes
+ *
+ * every created node records what it sends (node.sent), its last status
+ * (node.lastStatus) and the errors it reports (node.errors)
+ */
+class MockNode extends EventEmitter {
+  send(msg) {
+    this.sent.push(msg);
+    this.emit("sent", msg);
+  }
+
+  status(status) {
+    this.lastStatus = status;
+  }
+
+  log() {}
+
+  warn() {}
+
+  error(err) {
+    this.errors.push(String(err));
+  }
+
+  context() {
+    return this._context;
+  }
+}
+
+function createRED() {
+  const types = {};
+  const nodes = {};
+  let ids = 0;
+
+  const RED = {
+    nodes: {
+      createNode(node, config) {
+        EventEmitter.call(node);
+        node.id = config.id;
+        node.type = config.type;
+        node.name = config.name;
+        node.credentials = config.credentials || {};
+        node.sent = [];
+        node.errors = [];
+        const values = {};
+        node._context = {
+          get: key => values[key],
+          set: (key, value) => {
+            values[key] = value;
+          }
+        };
+        nodes[config.id] = node;
+      },
+      registerType(type, constructor) {
+        Object.setPrototypeOf(constructor.prototype, MockNode.prototype);
+        types[type] = constructor;
+      },
+      getNode(id) {
+        return nodes[id];
+      }
+    },
+    util: {
+      generateId: () => `id${++ids}`,
+      cloneMessage: msg => JSON.parse(JSON.stringify(msg))
+    },
+    httpAdmin: { get() {}, post() {} },
+    auth: { needsPermission: () => (req, res, next) => next() },
+    settings: {},
+    events: new EventEmitter()
+  };
+
+  require("../../src/index")(RED);
+
+  /**
+   * @param {*} type
+   * @param {*} config
+   */
+  RED.create = function(type, config) {
+    return new types[type](Object.assign({ type }, config));
+  };
+
+  /**
+   * resolves with the error given to done (if any)
+   *
+   * @param {*} node
+   * @param {*} msg
+   */
+  RED.input = function(node, msg) {
+    return new Promise(resolve => {
+      node.emit("input", msg, undefined, resolve);
+    });
+  };
+
+  RED.close = function(node) {
+    return new Promise(resolve => {
+      if (node.listenerCount("close") < 1) {
+        resolve();
+        return;
+      }
+      node.emit("close", false, resolve);
+    });
+  };
+
+  return RED;
+}
+
+module.exports.createRED = createRED;
@@ -0,0 +1,121 @@
+"use strict";
+const assert = require("assert");
+const { createRED } = require("./helpers/red");
+const { fakeWatch, flush, pod, podList, sleep } = require("./helpers/kube");
+
+describe("kubernetes-client-watch", function() {
+  let RED;
+  let config;
+  let watch;
+  let nodes;
+
+  beforeEach(function() {
+    RED = createRED();
+    config = RED.create("kubernetes-client-config", {
+      id: "config",
+      authMode: "token",
+      server: "http://127.0.0.1:1",
+      credentials: { token: "token" }
+    });
+    watch = fakeWatch();
+    config.kc.createWatch = () => watch;
+    config.kc.refreshCredentials = async () => {};
+    config.kc.makeHttpRestRequest = async () => podList("1", []);
+    nodes = [];
+  });
+
+  afterEach(async function() {
+    for (const node of nodes) {
+      await RED.close(node);
+    }
+    await RED.close(config);
+  });
+
+  function create(options) {
+    const node = RED.create(
+      "kubernetes-client-watch",
+      Object.assign(
+        {
+          id: `watch${nodes.length}`,
+          kubernetesClientConfig: "config",
+          endpoint: "/api/v1/pods",
+          activityTimeout: 0
+        },
+        options
+      )
+    );
+    nodes.push(node);
+    return node;
+  }
+
+  describe("get/list commands", function() {
+    it("reply from the informer cache", async function() {
+      config.kc.makePaginatedHttpRestRequest = async () => {
+        return podList("5", [pod("a", "one"), pod("b", "two")]);
+      };
+      const node = create({ mode: "informer" });
+      await flush();
+
+      const get = { payload: { command: "get", namespace: "a", name: "one" } };
+      assert.strictEqual(await RED.input(node, get), undefined);
+      assert.strictEqual(get.payload.metadata.name, "one");
+      assert.deepStrictEqual(get.kube.store, {
+        synced: true,
+        resourceVersion: "5",
+        count: 2
+      });
+
+      // copies of the cached objects
+      get.payload.metadata.name = "changed";
+      const list = { payload: { command: "list" } };
+      await RED.input(node, list);
+      assert.deepStrictEqual(
+        list.payload.map(object => object.metadata.name).sort(),
+        ["one", "two"]
+      );
+
+      const missing = { payload: { command: "get", name: "nope" } };
+      await RED.input(node, missing);
+      assert.strictEqual(missing.payload, null);
+      assert.strictEqual(node.sent.slice(-3)[0], get);
+    });
+
+    it("are rejected outside of informer mode", async function() {
+      const node = create();
+      const err = await RED.input(node, { payload: { command: "list" } });
+      assert.strictEqual(err.message, "list requires informer mode");
+    });
+  });
+
+  describe("reconnect", function() {
+    it("does not classify network errors by an earlier response", async function() {
+      let refreshed = false;
+      config.kc.refreshCredentials = async force => {
+        if (force) {
+          refreshed = true;
+        }
+      };
+      const node = create({ reconnectInitialDelay: 0, reconnectJitter: 0 });
+      await flush();
+
+      watch.calls[0].respond(401);
+      watch.calls[0].end(new Error("Unauthorized"));
+      await sleep(10);
+      assert.strictEqual(refreshed, true);
+      assert.strictEqual(watch.calls.length, 2);
+
+      const err = new Error("socket hang up");
+      err.code = "ECONNRESET";
+      watch.calls[1].end(err);
+      assert.ok(node.connection.timer);
+      assert.ok(
+        !node.errors.some(error => {
+          return String(error).includes("not reconnecting");
+        })
+      );
+
+      await sleep(10);
+      assert.strictEqual(watch.calls.length, 3);
+    });
+  });
+});
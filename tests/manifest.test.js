@@ -0,0 +1,104 @@
+"use strict";
+const assert = require("assert");
+const { parseManifest, sortManifest } = require("../src/manifest");
+
+function names(objects) {
+  return objects.map(object => `${object.kind}/${object.metadata.name}`);
+}
+
+describe("manifest", function() {
+  describe("parseManifest", function() {
+    it("parses multi-document yaml and skips empty documents", function() {
+      const objects = parseManifest(`
+apiVersion: v1
+kind: ConfigMap
+metadata:
+  name: a
+---
+---
+apiVersion: v1
+kind: Service
+metadata:
+  name: b
+`);
+      assert.deepStrictEqual(names(objects), ["ConfigMap/a", "Service/b"]);
+    });
+
+    it("parses buffers and json", function() {
+      const objects = parseManifest(
+        Buffer.from('{"kind": "Secret", "metadata": {"name": "s"}}')
+      );
+      assert.deepStrictEqual(names(objects), ["Secret/s"]);
+    });
+
+    it("flattens arrays and lists", function() {
+      const objects = parseManifest([
+        { kind: "Pod", metadata: { name: "p" } },
+        {
+          kind: "List",
+          items: [{ kind: "Service", metadata: { name: "s" } }]
+        },
+        {
+          kind: "ConfigMapList",
+          items: [{ kind: "ConfigMap", metadata: { name: "c" } }]
+        }
+      ]);
+      assert.deepStrictEqual(names(objects), [
+        "Pod/p",
+        "Service/s",
+        "ConfigMap/c"
+      ]);
+    });
+
+    it("accepts a single object", function() {
+      assert.deepStrictEqual(
+        names(parseManifest({ kind: "Pod", metadata: { name: "p" } })),
+        ["Pod/p"]
+      );
+    });
+
+    it("rejects other types", function() {
+      assert.throws(() => {
+        parseManifest(5);
+      }, /manifest must be a string, array or object/);
+    });
+  });
+
+  describe("sortManifest", function() {
+    const objects = [
+      { kind: "Deployment", metadata: { name: "d" } },
+      { kind: "Widget", metadata: { name: "w1" } },
+      { kind: "Service", metadata: { name: "s" } },
+      { kind: "Namespace", metadata: { name: "n" } },
+      { kind: "Widget", metadata: { name: "w2" } },
+      { kind: "ConfigMap", metadata: { name: "c" } }
+    ];
+
+    it("sorts in creation order keeping unknown kinds last", function() {
+      assert.deepStrictEqual(names(sortManifest(objects)), [
+        "Namespace/n",
+        "ConfigMap/c",
+        "Service/s",
+        "Deployment/d",
+        "Widget/w1",
+        "Widget/w2"
+      ]);
+    });
+
+    it("sorts in deletion order when reversed", function() {
+      assert.deepStrictEqual(names(sortManifest(objects, true)), [
+        "Widget/w2",
+        "Widget/w1",
+        "Deployment/d",
+        "Service/s",
+        "ConfigMap/c",
+        "Namespace/n"
+      ]);
+    });
+
+    it("does not modify the given list", function() {
+      sortManifest(objects);
+      assert.strictEqual(objects[0].kind, "Deployment");
+    });
+  });
+});
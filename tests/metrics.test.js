@@ -0,0 +1,132 @@
+"use strict";
+const assert = require("assert");
+const {
+  DURATION_BUCKETS,
+  formatPrometheus,
+  RequestMetrics,
+  WatchMetrics
+} = require("../src/metrics");
+
+describe("metrics", function() {
+  describe("WatchMetrics", function() {
+    it("counts events and keeps the last resourceVersion", function() {
+      const metrics = new WatchMetrics();
+      metrics.event("ADDED", "10");
+      metrics.event("ADDED", "11");
+      metrics.event("BOOKMARK", "12");
+      metrics.event("ERROR");
+
+      const json = metrics.toJSON();
+      assert.deepStrictEqual(json.events, { ADDED: 2, BOOKMARK: 1, ERROR: 1 });
+      assert.strictEqual(json.resourceVersion, "12");
+      assert.ok(json.lastEventAt);
+      assert.ok(json.secondsSinceLastEvent >= 0);
+    });
+
+    it("reports no last event before any event", function() {
+      const json = new WatchMetrics().toJSON();
+      assert.strictEqual(json.lastEventAt, null);
+      assert.strictEqual(json.secondsSinceLastEvent, null);
+      assert.strictEqual(json.connected, false);
+    });
+  });
+
+  describe("RequestMetrics", function() {
+    it("builds cumulative histograms by method and status code", function() {
+      const metrics = new RequestMetrics();
+      metrics.observe("GET", 200, 0.003);
+      metrics.observe("GET", 200, 0.3);
+      metrics.observe("GET", 200, 20);
+      metrics.observe("POST", "error", 1);
+
+      const json = metrics.toJSON();
+      assert.strictEqual(json.length, 2);
+
+      const get = json[0];
+      assert.strictEqual(get.method, "GET");
+      assert.strictEqual(get.statusCode, 200);
+      assert.strictEqual(get.count, 3);
+      assert.strictEqual(get.sum, 20.303);
+      assert.strictEqual(get.buckets.length, DURATION_BUCKETS.length + 1);
+      assert.deepStrictEqual(get.buckets[0], { le: 0.005, count: 1 });
+      assert.deepStrictEqual(
+        get.buckets.find(bucket => bucket.le == 0.5),
+        { le: 0.5, count: 2 }
+      );
+      assert.deepStrictEqual(get.buckets[get.buckets.length - 2], {
+        le: 10,
+        count: 2
+      });
+      assert.deepStrictEqual(get.buckets[get.buckets.length - 1], {
+        le: "+Inf",
+        count: 3
+      });
+
+      assert.strictEqual(json[1].statusCode, "error");
+    });
+  });
+
+  describe("formatPrometheus", function() {
+    function snapshot() {
+      const watch = new WatchMetrics();
+      watch.event("ADDED", "123");
+      watch.connected = true;
+      watch.reconnects = 2;
+
+      const requests = new RequestMetrics();
+      requests.observe("GET", 200, 0.2);
+
+      return {
+        watches: [
+          Object.assign(
+            { id: "w1", name: 'say "hi"', endpoint: "/api/v1/pods" },
+            watch.toJSON()
+          )
+        ],
+        requests: [{ id: "h1", name: "", requests: requests.toJSON() }]
+      };
+    }
+
+    it("formats the watch and request families", function() {
+      const text = formatPrometheus(snapshot());
+      const labels = 'node="w1",name="say \\"hi\\"",endpoint="/api/v1/pods"';
+
+      assert.ok(text.endsWith("\n"));
+      assert.ok(
+        text.includes("# TYPE node_red_kubernetes_watch_events_total counter")
+      );
+      assert.ok(
+        text.includes(
+          `node_red_kubernetes_watch_events_total{${labels},type="ADDED"} 1`
+        )
+      );
+      assert.ok(
+        text.includes(`node_red_kubernetes_watch_reconnects_total{${labels}} 2`)
+      );
+      assert.ok(
+        text.includes(`node_red_kubernetes_watch_connected{${labels}} 1`)
+      );
+      assert.ok(
+        text.includes(
+          "# TYPE node_red_kubernetes_request_duration_seconds histogram"
+        )
+      );
+      assert.ok(
+        text.includes(
+          'node_red_kubernetes_request_duration_seconds_bucket{node="h1",name="",method="GET",code="200",le="+Inf"} 1'
+        )
+      );
+      assert.ok(
+        text.includes(
+          'node_red_kubernetes_request_duration_seconds_count{node="h1",name="",method="GET",code="200"} 1'
+        )
+      );
+    });
+
+    it("does not expose the resourceVersion", function() {
+      const text = formatPrometheus(snapshot());
+      assert.ok(!text.includes("resource_version"));
+      assert.ok(!text.includes("123"));
+    });
+  });
+});
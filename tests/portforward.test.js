@@ -0,0 +1,176 @@
+"use strict";
+const assert = require("assert");
+const portforward = require("../src/portforward");
+
+function pod(name, ready = true, extra = {}) {
+  return Object.assign(
+    {
+      metadata: { namespace: "default", name, labels: { app: "db" } },
+      spec: {
+        containers: [
+          {
+            name: "db",
+            ports: [{ name: "sql", containerPort: 5432 }]
+          },
+          {
+            name: "metrics",
+            ports: [
+              { containerPort: 8080 },
+              { name: "metrics", containerPort: 9187 }
+            ]
+          }
+        ]
+      },
+      status: {
+        phase: "Running",
+        conditions: [{ type: "Ready", status: ready ? "True" : "False" }]
+      }
+    },
+    extra
+  );
+}
+
+/**
+ * KubeConfig stand-in answering requests by topic
+ *
+ * @param {*} responses
+ */
+function fakeClient(responses) {
+  return {
+    async makeHttpRestRequest(msg) {
+      if (!responses[msg.topic]) {
+        return { statusCode: 404, body: { message: "not found" } };
+      }
+      return { statusCode: 200, body: responses[msg.topic] };
+    }
+  };
+}
+
+describe("portforward", function() {
+  describe("isPodReady", function() {
+    it("requires a running pod with the Ready condition", function() {
+      assert.strictEqual(portforward.isPodReady(pod("a")), true);
+      assert.strictEqual(portforward.isPodReady(pod("a", false)), false);
+    });
+
+    it("rejects pending, terminating and missing pods", function() {
+      const pending = pod("a");
+      pending.status.phase = "Pending";
+      assert.strictEqual(portforward.isPodReady(pending), false);
+
+      const terminating = pod("a");
+      terminating.metadata.deletionTimestamp = "2020-01-01T00:00:00Z";
+      assert.strictEqual(portforward.isPodReady(terminating), false);
+
+      assert.strictEqual(
+        portforward.isPodReady(pod("a", true, { status: undefined })),
+        false
+      );
+      assert.strictEqual(portforward.isPodReady(null), false);
+    });
+  });
+
+  describe("resolveContainerPort", function() {
+    it("returns numbers as is", function() {
+      assert.strictEqual(
+        portforward.resolveContainerPort(pod("a"), 8080),
+        8080
+      );
+      assert.strictEqual(
+        portforward.resolveContainerPort(pod("a"), "8080"),
+        8080
+      );
+    });
+
+    it("resolves named ports of any container", function() {
+      assert.strictEqual(
+        portforward.resolveContainerPort(pod("a"), "sql"),
+        5432
+      );
+      assert.strictEqual(
+        portforward.resolveContainerPort(pod("a"), "metrics"),
+        9187
+      );
+    });
+
+    it("rejects unknown names", function() {
+      assert.throws(() => {
+        portforward.resolveContainerPort(pod("a"), "http");
+      }, /pod default\/a has no port named http/);
+      assert.throws(() => {
+        portforward.resolveContainerPort(pod("a", true, { spec: {} }), "sql");
+      }, /has no port named sql/);
+    });
+  });
+
+  describe("resolveTarget", function() {
+    it("forwards to a named port of a pod", async function() {
+      const forwarder = new portforward.PortForwarder(
+        fakeClient({ "/api/v1/namespaces/default/pods/a": pod("a") }),
+        { name: "a", port: "metrics" }
+      );
+      assert.deepStrictEqual(await forwarder.resolveTarget(), {
+        pod: "a",
+        port: 9187
+      });
+    });
+
+    it("fails for missing and not running pods", async function() {
+      const pending = pod("b");
+      pending.status.phase = "Pending";
+      const kc = fakeClient({ "/api/v1/namespaces/default/pods/b": pending });
+
+      await assert.rejects(
+        new portforward.PortForwarder(kc, {
+          name: "a",
+          port: 80
+        }).resolveTarget(),
+        /failed to get pod default\/a - code: 404/
+      );
+      await assert.rejects(
+        new portforward.PortForwarder(kc, {
+          name: "b",
+          port: 80
+        }).resolveTarget(),
+        /pod default\/b is not running \(Pending\)/
+      );
+    });
+
+    it("picks the first ready pod of a service", async function() {
+      const kc = fakeClient({
+        "/api/v1/namespaces/default/services/db": {
+          spec: {
+            selector: { app: "db" },
+            ports: [{ name: "sql", port: 5432, targetPort: "sql" }]
+          }
+        },
+        "/api/v1/namespaces/default/pods": {
+          items: [pod("c"), pod("a", false), pod("b")]
+        }
+      });
+      const forwarder = new portforward.PortForwarder(kc, {
+        targetType: "service",
+        name: "db"
+      });
+      assert.deepStrictEqual(await forwarder.resolveTarget(), {
+        pod: "b",
+        port: 5432
+      });
+    });
+
+    it("fails without ready pods", async function() {
+      const kc = fakeClient({
+        "/api/v1/namespaces/default/pods": { items: [pod("a", false)] }
+      });
+      const forwarder = new portforward.PortForwarder(kc, {
+        targetType: "selector",
+        labelSelector: "app=db",
+        port: "sql"
+      });
+      await assert.rejects(
+        forwarder.resolveTarget(),
+        /no ready pod for selector app=db/
+      );
+    });
+  });
+});
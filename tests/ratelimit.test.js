@@ -0,0 +1,57 @@
+"use strict";
+const assert = require("assert");
+const { RateLimiter } = require("../src/ratelimit");
+
+describe("RateLimiter", function() {
+  const realNow = Date.now;
+  let now;
+
+  beforeEach(function() {
+    now = 1000000;
+    Date.now = () => now;
+  });
+
+  afterEach(function() {
+    Date.now = realNow;
+  });
+
+  it("defaults the burst to qps with a minimum of 1", function() {
+    assert.strictEqual(new RateLimiter(5).burst, 5);
+    assert.strictEqual(new RateLimiter(5, 10).burst, 10);
+    assert.strictEqual(new RateLimiter(0.5).burst, 1);
+  });
+
+  it("allows a burst then spaces the requests", function() {
+    const limiter = new RateLimiter(2, 2);
+    assert.strictEqual(limiter.reserve(), 0);
+    assert.strictEqual(limiter.reserve(), 0);
+    assert.strictEqual(limiter.reserve(), 500);
+    assert.strictEqual(limiter.reserve(), 1000);
+  });
+
+  it("refills the tokens over time up to the burst", function() {
+    const limiter = new RateLimiter(2, 2);
+    limiter.reserve();
+    limiter.reserve();
+
+    now += 500;
+    assert.strictEqual(limiter.reserve(), 0);
+    assert.strictEqual(limiter.reserve(), 500);
+
+    now += 60000;
+    assert.strictEqual(limiter.reserve(), 0);
+    assert.strictEqual(limiter.reserve(), 0);
+    assert.strictEqual(limiter.reserve(), 500);
+  });
+
+  it("acquire waits for the reserved delay", async function() {
+    Date.now = realNow;
+    const limiter = new RateLimiter(20, 1);
+    assert.strictEqual(await limiter.acquire(), 0);
+
+    const started = realNow();
+    const waited = await limiter.acquire();
+    assert.ok(waited > 0 && waited <= 50, `${waited}`);
+    assert.ok(realNow() - started >= waited - 5);
+  });
+});
@@ -0,0 +1,95 @@
+"use strict";
+const assert = require("assert");
+const { classifyError, ReconnectPolicy } = require("../src/reconnect");
+
+describe("reconnect", function() {
+  describe("classifyError", function() {
+    it("treats tls and auth failures as permanent", function() {
+      assert.deepStrictEqual(classifyError({ code: "CERT_HAS_EXPIRED" }), {
+        type: "tls",
+        permanent: true
+      });
+      assert.deepStrictEqual(classifyError({ statusCode: 401 }), {
+        type: "unauthorized",
+        permanent: true
+      });
+      assert.deepStrictEqual(classifyError({ statusCode: 403 }), {
+        type: "forbidden",
+        permanent: true
+      });
+      assert.deepStrictEqual(classifyError({ statusCode: 404 }), {
+        type: "notfound",
+        permanent: true
+      });
+    });
+
+    it("retries network and unknown failures", function() {
+      assert.deepStrictEqual(classifyError({ code: "ECONNREFUSED" }), {
+        type: "network",
+        permanent: false
+      });
+      assert.deepStrictEqual(classifyError({ statusCode: 500 }), {
+        type: "unknown",
+        permanent: false
+      });
+      assert.deepStrictEqual(classifyError(undefined), {
+        type: "unknown",
+        permanent: false
+      });
+    });
+  });
+
+  describe("ReconnectPolicy", function() {
+    it("backs off exponentially up to the max delay", function() {
+      const policy = new ReconnectPolicy({
+        initialDelay: 1,
+        maxDelay: 5,
+        multiplier: 2,
+        jitter: 0
+      });
+      const delays = [1, 2, 3, 4, 5].map(() => policy.next());
+      assert.deepStrictEqual(delays, [1000, 2000, 4000, 5000, 5000]);
+      assert.strictEqual(policy.attempt, 5);
+    });
+
+    it("applies the jitter around the delay", function() {
+      const policy = new ReconnectPolicy({ initialDelay: 10, jitter: 0.5 });
+      for (let i = 0; i < 20; i++) {
+        policy.reset();
+        const delay = policy.next();
+        assert.ok(delay >= 5000 && delay <= 15000, `${delay}`);
+      }
+    });
+
+    it("is exhausted after max attempts", function() {
+      const policy = new ReconnectPolicy({ maxAttempts: 2 });
+      assert.strictEqual(policy.exhausted, false);
+      policy.next();
+      policy.next();
+      assert.strictEqual(policy.exhausted, true);
+      policy.reset();
+      assert.strictEqual(policy.exhausted, false);
+    });
+
+    it("never exhausts with unlimited attempts", function() {
+      const policy = new ReconnectPolicy({ maxAttempts: 0 });
+      for (let i = 0; i < 100; i++) {
+        policy.next();
+      }
+      assert.strictEqual(policy.exhausted, false);
+    });
+
+    it("falls back to the defaults for invalid options", function() {
+      const policy = new ReconnectPolicy({
+        initialDelay: -1,
+        multiplier: 0.5,
+        jitter: "x"
+      });
+      assert.strictEqual(policy.initialDelay, 1);
+      assert.strictEqual(policy.maxDelay, 60);
+      assert.strictEqual(policy.multiplier, 2);
+      assert.strictEqual(policy.jitter, 0.2);
+      assert.strictEqual(policy.maxAttempts, 0);
+    });
+  });
+});
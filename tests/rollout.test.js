@@ -0,0 +1,359 @@
+"use strict";
+const assert = require("assert");
+const rollout = require("../src/rollout");
+
+const REVISION_ANNOTATION = "deployment.kubernetes.io/revision";
+const SELF_LINK = "/apis/apps/v1/namespaces/default/deployments/web";
+
+/**
+ * KubeConfig stand-in answering requests by "METHOD topic"
+ *
+ * @param {*} responses
+ */
+function fakeClient(responses) {
+  const requests = [];
+  return {
+    requests,
+    async makeHttpRestRequest(msg) {
+      requests.push(msg);
+      const key = `${msg.method || "GET"} ${msg.topic}`;
+      if (!responses[key]) {
+        return { statusCode: 404, body: { message: "not found" } };
+      }
+      return { statusCode: 200, body: responses[key] };
+    }
+  };
+}
+
+function deployment(revision, extra = {}) {
+  return Object.assign(
+    {
+      kind: "Deployment",
+      metadata: {
+        name: "web",
+        namespace: "default",
+        uid: "u1",
+        annotations: { [REVISION_ANNOTATION]: String(revision) }
+      },
+      spec: { selector: { matchLabels: { app: "web" } } }
+    },
+    extra
+  );
+}
+
+function replicaSet(revision, owner = "u1") {
+  return {
+    metadata: {
+      name: `web-${revision}`,
+      annotations: { [REVISION_ANNOTATION]: String(revision) },
+      ownerReferences: [{ uid: owner }]
+    },
+    spec: {
+      template: {
+        metadata: {
+          labels: { app: "web", "pod-template-hash": `h${revision}` }
+        },
+        spec: { containers: [{ name: "web", image: `web:${revision}` }] }
+      }
+    }
+  };
+}
+
+describe("rollout", function() {
+  describe("formatLabelSelector", function() {
+    it("formats matchLabels and matchExpressions", function() {
+      assert.strictEqual(
+        rollout.formatLabelSelector({
+          matchLabels: { app: "web", tier: "front" },
+          matchExpressions: [
+            { key: "env", operator: "In", values: ["a", "b"] },
+            { key: "zone", operator: "NotIn", values: ["c"] },
+            { key: "canary", operator: "Exists" },
+            { key: "legacy", operator: "DoesNotExist" }
+          ]
+        }),
+        "app=web,tier=front,env in (a,b),zone notin (c),canary,!legacy"
+      );
+    });
+
+    it("returns an empty selector for none", function() {
+      assert.strictEqual(rollout.formatLabelSelector(), "");
+    });
+  });
+
+  describe("checkSupported", function() {
+    it("rejects unsupported kinds", function() {
+      assert.throws(() => {
+        rollout.checkSupported("pause", "StatefulSet");
+      }, /pause is not supported for StatefulSet/);
+      rollout.checkSupported("undo", "DaemonSet");
+      rollout.checkSupported("scale", "ReplicaSet");
+    });
+  });
+
+  describe("rolloutStatus", function() {
+    function status(kind, spec, status, generation = 1) {
+      return rollout.rolloutStatus({
+        kind,
+        metadata: { name: "web", namespace: "default", generation },
+        spec,
+        status
+      });
+    }
+
+    it("waits for the deployment spec to be observed", function() {
+      const result = status("Deployment", { replicas: 2 }, {}, 2);
+      assert.deepStrictEqual(result, {
+        done: false,
+        failed: false,
+        message: "waiting for deployment spec update to be observed"
+      });
+    });
+
+    it("follows the progress of a deployment", function() {
+      assert.strictEqual(
+        status(
+          "Deployment",
+          { replicas: 3 },
+          { observedGeneration: 1, updatedReplicas: 1 }
+        ).message,
+        "1 out of 3 new replicas have been updated"
+      );
+      assert.strictEqual(
+        status(
+          "Deployment",
+          { replicas: 2 },
+          { observedGeneration: 1, replicas: 3, updatedReplicas: 2 }
+        ).message,
+        "1 old replicas are pending termination"
+      );
+
+      const result = status(
+        "Deployment",
+        { replicas: 2 },
+        {
+          observedGeneration: 1,
+          replicas: 2,
+          updatedReplicas: 2,
+          availableReplicas: 2
+        }
+      );
+      assert.strictEqual(result.done, true);
+      assert.strictEqual(
+        result.message,
+        "deployment default/web successfully rolled out"
+      );
+    });
+
+    it("fails deployments exceeding their progress deadline", function() {
+      const result = status(
+        "Deployment",
+        {},
+        {
+          observedGeneration: 1,
+          conditions: [
+            { type: "Progressing", reason: "ProgressDeadlineExceeded" }
+          ]
+        }
+      );
+      assert.strictEqual(result.failed, true);
+    });
+
+    it("follows partitioned and full statefulset rollouts", function() {
+      assert.strictEqual(
+        status(
+          "StatefulSet",
+          {
+            replicas: 3,
+            updateStrategy: { rollingUpdate: { partition: 2 } }
+          },
+          { observedGeneration: 1, readyReplicas: 3, updatedReplicas: 1 }
+        ).done,
+        true
+      );
+      assert.strictEqual(
+        status(
+          "StatefulSet",
+          { replicas: 2 },
+          {
+            observedGeneration: 1,
+            readyReplicas: 2,
+            updateRevision: "b",
+            currentRevision: "a"
+          }
+        ).done,
+        false
+      );
+      assert.strictEqual(
+        status(
+          "StatefulSet",
+          { updateStrategy: { type: "OnDelete" } },
+          { observedGeneration: 1 }
+        ).failed,
+        true
+      );
+    });
+
+    it("follows daemonset rollouts", function() {
+      assert.strictEqual(
+        status(
+          "DaemonSet",
+          {},
+          {
+            observedGeneration: 1,
+            desiredNumberScheduled: 3,
+            updatedNumberScheduled: 3,
+            numberAvailable: 2
+          }
+        ).message,
+        "2 of 3 updated pods are available"
+      );
+      assert.strictEqual(
+        status(
+          "DaemonSet",
+          {},
+          {
+            observedGeneration: 1,
+            desiredNumberScheduled: 3,
+            updatedNumberScheduled: 3,
+            numberAvailable: 3
+          }
+        ).done,
+        true
+      );
+    });
+
+    it("rejects other kinds", function() {
+      assert.throws(() => {
+        status("ReplicaSet", {}, {});
+      }, /status is not supported for ReplicaSet/);
+    });
+  });
+
+  describe("undo", function() {
+    const RS_LIST = "GET /apis/apps/v1/namespaces/default/replicasets";
+
+    it("rolls back to the previous revision", async function() {
+      const kc = fakeClient({
+        [`GET ${SELF_LINK}`]: deployment(3),
+        [RS_LIST]: {
+          items: [
+            replicaSet(1),
+            replicaSet(3),
+            replicaSet(2),
+            replicaSet(9, "x")
+          ]
+        },
+        [`PATCH-JSON ${SELF_LINK}`]: deployment(4)
+      });
+
+      const result = await rollout.undo(kc, SELF_LINK);
+      assert.strictEqual(result.revision, 2);
+      assert.strictEqual(result.skipped, false);
+
+      assert.deepStrictEqual(kc.requests[1].payload, {
+        labelSelector: "app=web"
+      });
+      const patch = kc.requests[2];
+      assert.strictEqual(patch.method, "PATCH-JSON");
+      assert.strictEqual(patch.payload[0].path, "/spec/template");
+      assert.deepStrictEqual(patch.payload[0].value.metadata.labels, {
+        app: "web"
+      });
+      assert.strictEqual(
+        patch.payload[0].value.spec.containers[0].image,
+        "web:2"
+      );
+    });
+
+    it("skips the current revision", async function() {
+      const kc = fakeClient({
+        [`GET ${SELF_LINK}`]: deployment(3),
+        [RS_LIST]: { items: [replicaSet(2), replicaSet(3)] }
+      });
+
+      const result = await rollout.undo(kc, SELF_LINK, 3);
+      assert.deepStrictEqual([result.revision, result.skipped], [3, true]);
+      assert.strictEqual(kc.requests.length, 2);
+    });
+
+    it("fails without a matching revision", async function() {
+      const kc = fakeClient({
+        [`GET ${SELF_LINK}`]: deployment(1),
+        [RS_LIST]: { items: [replicaSet(1)] }
+      });
+
+      await assert.rejects(
+        rollout.undo(kc, SELF_LINK, 5),
+        /unable to find revision 5/
+      );
+      await assert.rejects(
+        rollout.undo(kc, SELF_LINK),
+        /no previous revision to roll back to/
+      );
+    });
+
+    it("refuses paused deployments", async function() {
+      const workload = deployment(2);
+      workload.spec.paused = true;
+      const kc = fakeClient({ [`GET ${SELF_LINK}`]: workload });
+
+      await assert.rejects(
+        rollout.undo(kc, SELF_LINK),
+        /cannot undo a paused deployment default\/web/
+      );
+    });
+
+    it("applies the controller revision of statefulsets", async function() {
+      const link = "/apis/apps/v1/namespaces/default/statefulsets/db";
+      const data = { spec: { template: { metadata: { labels: { v: "1" } } } } };
+      const owner = [{ uid: "s1" }];
+      const kc = fakeClient({
+        [`GET ${link}`]: {
+          kind: "StatefulSet",
+          metadata: { name: "db", namespace: "default", uid: "s1" },
+          spec: { selector: { matchLabels: { app: "db" } } }
+        },
+        "GET /apis/apps/v1/namespaces/default/controllerrevisions": {
+          items: [
+            { metadata: { ownerReferences: owner }, revision: 1, data },
+            { metadata: { ownerReferences: owner }, revision: 2, data: {} }
+          ]
+        },
+        [`PATCH-STRATEGIC-MERGE ${link}`]: {}
+      });
+
+      const result = await rollout.undo(kc, link);
+      assert.strictEqual(result.revision, 1);
+      assert.strictEqual(kc.requests[2].method, "PATCH-STRATEGIC-MERGE");
+      assert.deepStrictEqual(kc.requests[2].payload, data);
+    });
+  });
+
+  describe("scale", function() {
+    it("patches the scale subresource", async function() {
+      const kc = fakeClient({
+        [`PATCH ${SELF_LINK}/scale`]: { spec: { replicas: 3 } }
+      });
+
+      const scale = await rollout.scale(kc, SELF_LINK, "3");
+      assert.strictEqual(scale.spec.replicas, 3);
+      assert.deepStrictEqual(kc.requests[0].payload, {
+        spec: { replicas: 3 }
+      });
+    });
+
+    it("rejects invalid replicas", async function() {
+      await assert.rejects(
+        rollout.scale(fakeClient({}), SELF_LINK, "x"),
+        /missing or invalid replicas/
+      );
+    });
+
+    it("reports failed requests", async function() {
+      await assert.rejects(rollout.scale(fakeClient({}), SELF_LINK, 1), err => {
+        return err.statusCode == 404 && /failed to scale/.test(err.message);
+      });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+"use strict";
+const assert = require("assert");
+const { ObjectStore } = require("../src/store");
+
+function object(namespace, name, resourceVersion = "1") {
+  return { metadata: { namespace, name, resourceVersion } };
+}
+
+describe("ObjectStore", function() {
+  describe("keyFor", function() {
+    it("keys namespaced objects by namespace/name", function() {
+      assert.strictEqual(
+        ObjectStore.keyFor(object("default", "foo")),
+        "default/foo"
+      );
+      assert.strictEqual(
+        ObjectStore.keyFor({ namespace: "default", name: "foo" }),
+        "default/foo"
+      );
+    });
+
+    it("keys cluster-scoped objects by name", function() {
+      assert.strictEqual(
+        ObjectStore.keyFor({ metadata: { name: "n1" } }),
+        "n1"
+      );
+    });
+
+    it("returns strings as is", function() {
+      assert.strictEqual(ObjectStore.keyFor("default/foo"), "default/foo");
+    });
+  });
+
+  describe("apply", function() {
+    it("adds, modifies and deletes objects", function() {
+      const store = new ObjectStore();
+      assert.strictEqual(
+        store.apply("ADDED", object("default", "foo")),
+        undefined
+      );
+      assert.strictEqual(store.size, 1);
+
+      const modified = object("default", "foo", "2");
+      assert.strictEqual(
+        store.apply("MODIFIED", modified).metadata.resourceVersion,
+        "1"
+      );
+      assert.strictEqual(store.get("default", "foo"), modified);
+
+      assert.strictEqual(store.apply("DELETED", modified), modified);
+      assert.strictEqual(store.size, 0);
+      assert.strictEqual(store.has(modified), false);
+    });
+
+    it("ignores other event types", function() {
+      const store = new ObjectStore();
+      store.apply("BOOKMARK", object("default", "foo"));
+      assert.strictEqual(store.size, 0);
+    });
+  });
+
+  describe("get", function() {
+    it("accepts an object, a key or a namespace and name", function() {
+      const store = new ObjectStore();
+      const foo = object("default", "foo");
+      store.apply("ADDED", foo);
+      assert.strictEqual(store.get(foo), foo);
+      assert.strictEqual(store.get("default/foo"), foo);
+      assert.strictEqual(store.get("default", "foo"), foo);
+      assert.strictEqual(store.get("other", "foo"), undefined);
+    });
+  });
+
+  describe("list", function() {
+    it("lists all objects or those of a namespace", function() {
+      const store = new ObjectStore();
+      store.apply("ADDED", object("default", "foo"));
+      store.apply("ADDED", object("kube-system", "bar"));
+      assert.strictEqual(store.list().length, 2);
+      assert.deepStrictEqual(
+        store.list("kube-system").map(item => item.metadata.name),
+        ["bar"]
+      );
+      assert.deepStrictEqual(store.keys().sort(), [
+        "default/foo",
+        "kube-system/bar"
+      ]);
+    });
+  });
+
+  describe("replace", function() {
+    it("returns the events moving to the new state", function() {
+      const store = new ObjectStore();
+      store.apply("ADDED", object("default", "same"));
+      store.apply("ADDED", object("default", "changed"));
+      store.apply("ADDED", object("default", "gone"));
+
+      const events = store.replace([
+        object("default", "same"),
+        object("default", "changed", "2"),
+        object("default", "new")
+      ]);
+
+      assert.deepStrictEqual(
+        events.map(event => `${event.type} ${event.object.metadata.name}`),
+        ["MODIFIED changed", "ADDED new", "DELETED gone"]
+      );
+      assert.deepStrictEqual(store.keys().sort(), [
+        "default/changed",
+        "default/new",
+        "default/same"
+      ]);
+      assert.strictEqual(
+        store.get("default/changed").metadata.resourceVersion,
+        "2"
+      );
+    });
+  });
+
+  describe("clear", function() {
+    it("resets the objects and sync state", function() {
+      const store = new ObjectStore();
+      store.apply("ADDED", object("default", "foo"));
+      store.synced = true;
+      store.resourceVersion = "10";
+      store.clear();
+      assert.strictEqual(store.size, 0);
+      assert.strictEqual(store.synced, false);
+      assert.strictEqual(store.resourceVersion, null);
+    });
+  });
+});
@@ -0,0 +1,228 @@
+"use strict";
+const assert = require("assert");
+const { SharedWatch } = require("../src/watches");
+const { fakeWatch, pod, podList, sleep } = require("./helpers/kube");
+
+/**
+ * KubeConfig stand-in returning the queued List responses
+ */
+function fakeClient(watch) {
+  const kc = { lists: [], listed: 0 };
+  kc.createWatch = () => watch;
+  kc.getCurrentCluster = () => ({ server: "http://127.0.0.1:1" });
+  kc.refreshCredentials = async () => {};
+  kc.makeHttpRestRequest = async () => podList("3", []);
+  kc.makePaginatedHttpRestRequest = async () => {
+    kc.listed++;
+    return kc.lists.shift();
+  };
+  return kc;
+}
+
+function subscriber(options = {}) {
+  const events = [];
+  return Object.assign(
+    {
+      events,
+      versions: [],
+      onEvent(type, object, previous) {
+        events.push(`${type}:${object.metadata.name || ""}`);
+        this.versions.push(previous);
+      },
+      onStatus() {}
+    },
+    options
+  );
+}
+
+describe("SharedWatch", function() {
+  let watch;
+  let kc;
+  let shared;
+
+  beforeEach(function() {
+    watch = fakeWatch();
+    kc = fakeClient(watch);
+  });
+
+  afterEach(function() {
+    if (shared) {
+      shared.stop();
+    }
+  });
+
+  function create(options) {
+    shared = new SharedWatch(
+      kc,
+      "/api/v1/pods",
+      Object.assign({ reconnectInitialDelay: 0, reconnectJitter: 0 }, options)
+    );
+    return shared;
+  }
+
+  describe("subscribe", function() {
+    it("watches per the initial strategy without keeping objects", async function() {
+      create({ initialResourceVersionStrategy: "ZERO" });
+      const first = subscriber();
+      shared.subscribe(first);
+      await sleep(5);
+
+      assert.strictEqual(kc.listed, 0);
+      assert.strictEqual(shared.store, null);
+      assert.strictEqual(watch.calls.length, 1);
+      assert.strictEqual(watch.calls[0].query.resourceVersion, 0);
+
+      watch.calls[0].event("ADDED", pod("default", "one", "4"));
+      assert.deepStrictEqual(first.events, ["ADDED:one"]);
+      assert.strictEqual(shared.resourceVersion, "4");
+    });
+
+    it("restores the persisted resourceVersion", async function() {
+      create({
+        initialResourceVersionStrategy: "RESTORE-ZERO",
+        restore: () => "42"
+      });
+      shared.subscribe(subscriber());
+      await sleep(5);
+
+      assert.strictEqual(watch.calls[0].query.resourceVersion, "42");
+    });
+
+    it("keeps the objects for subscribers requiring previous versions", async function() {
+      create({ initialResourceVersionStrategy: "NULL" });
+      const first = subscriber({ previous: true });
+      shared.subscribe(first);
+      await sleep(5);
+
+      assert.strictEqual(kc.listed, 0);
+      assert.strictEqual(watch.calls[0].query.resourceVersion, null);
+      watch.calls[0].event("ADDED", pod("default", "one", "4"));
+      watch.calls[0].event("MODIFIED", pod("default", "one", "5"));
+      assert.strictEqual(first.versions[1].metadata.resourceVersion, "4");
+    });
+  });
+
+  describe("unsubscribe", function() {
+    it("stops sending events to the subscriber", async function() {
+      create({ initialResourceVersionStrategy: "ZERO" });
+      const first = subscriber();
+      const second = subscriber();
+      shared.subscribe(first);
+      shared.subscribe(second);
+      await sleep(5);
+
+      shared.unsubscribe(first);
+      assert.strictEqual(shared.size, 1);
+      watch.calls[0].event("ADDED", pod("default", "one"));
+      assert.deepStrictEqual(first.events, []);
+      assert.deepStrictEqual(second.events, ["ADDED:one"]);
+    });
+  });
+
+  describe("replay", function() {
+    it("lists and replays the current state to late subscribers", async function() {
+      kc.lists.push(podList("5", [pod("default", "one")]));
+      create();
+      const first = subscriber({ replay: true });
+      shared.subscribe(first);
+      await sleep(5);
+
+      assert.strictEqual(kc.listed, 1);
+      assert.deepStrictEqual(first.events, ["ADDED:one", "SYNCED:"]);
+      assert.strictEqual(watch.calls[0].query.resourceVersion, "5");
+
+      watch.calls[0].event("ADDED", pod("default", "two", "6"));
+      const late = subscriber({ replay: true });
+      const plain = subscriber();
+      shared.subscribe(late);
+      shared.subscribe(plain);
+
+      assert.deepStrictEqual(late.events, [
+        "ADDED:one",
+        "ADDED:two",
+        "SYNCED:"
+      ]);
+      assert.deepStrictEqual(plain.events, []);
+      assert.strictEqual(kc.listed, 1);
+    });
+
+    it("lists once a subscriber requires a replay", async function() {
+      kc.lists.push(podList("5", [pod("default", "one")]));
+      create({ initialResourceVersionStrategy: "ZERO" });
+      const first = subscriber();
+      shared.subscribe(first);
+      await sleep(5);
+
+      const second = subscriber({ replay: true });
+      shared.subscribe(second);
+      await sleep(5);
+
+      assert.strictEqual(watch.calls[0].aborted, true);
+      assert.strictEqual(kc.listed, 1);
+      assert.strictEqual(watch.calls[1].query.resourceVersion, "5");
+      assert.deepStrictEqual(first.events, []);
+      assert.deepStrictEqual(second.events, ["ADDED:one", "SYNCED:"]);
+    });
+  });
+
+  describe("410 Gone", function() {
+    it("lists again and sends the differences", async function() {
+      kc.lists.push(
+        podList("5", [pod("default", "one"), pod("default", "two")])
+      );
+      kc.lists.push(
+        podList("9", [pod("default", "two"), pod("default", "three")])
+      );
+      create();
+      const first = subscriber({ replay: true });
+      const plain = subscriber();
+      shared.subscribe(first);
+      shared.subscribe(plain);
+      await sleep(5);
+
+      watch.calls[0].event("ERROR", {
+        code: 410,
+        reason: "Gone",
+        metadata: {}
+      });
+      watch.calls[0].end();
+      await sleep(10);
+
+      assert.strictEqual(kc.listed, 2);
+      assert.strictEqual(shared.metrics.gone, 1);
+      assert.deepStrictEqual(plain.events, [
+        "ERROR:",
+        "ADDED:three",
+        "DELETED:one"
+      ]);
+      assert.deepStrictEqual(
+        first.events.slice(3),
+        plain.events.concat(["SYNCED:"])
+      );
+      assert.strictEqual(watch.calls[1].query.resourceVersion, "9");
+    });
+
+    it("follows the gone strategy without a store", async function() {
+      create({
+        initialResourceVersionStrategy: "ZERO",
+        goneResourceVersionStrategy: "NULL"
+      });
+      const first = subscriber();
+      shared.subscribe(first);
+      await sleep(5);
+
+      watch.calls[0].event("ADDED", pod("default", "one", "4"));
+      watch.calls[0].event("ERROR", {
+        code: 410,
+        reason: "Gone",
+        metadata: {}
+      });
+      watch.calls[0].end();
+      await sleep(10);
+
+      assert.strictEqual(kc.listed, 0);
+      assert.deepStrictEqual(first.events, ["ADDED:one", "ERROR:"]);
+      assert.strictEqual(watch.calls[1].query.resourceVersion, null);
+    });
+  });
+});